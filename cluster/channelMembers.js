@@ -0,0 +1,37 @@
+// node-server/cluster/channelMembers.js
+// Short-lived cache of channel member lists (channelMembers:<channelId> ->
+// JSON [{ id, username }]), filled from channel data the server already
+// sees (getChannels, createChannel, member changes) so per-message fan-out
+// work such as unread counters does not need a PHP call.
+const config = require("../config");
+const { getDriver } = require("./index");
+
+const membersKey = (channelId) => `channelMembers:${channelId}`;
+
+// Caches the members of a PHP channel object, if it carries a `users` list
+const rememberChannelMembers = async (channel) => {
+  if (!channel?.id || !Array.isArray(channel.users)) return;
+  const members = channel.users
+    .filter((user) => user?.id)
+    .map((user) => ({ id: user.id, username: user.username || null }));
+  await getDriver().set(
+    membersKey(channel.id),
+    JSON.stringify(members),
+    config.channelMembersCacheTtlMs
+  );
+};
+
+// [{ id, username }], or null when not cached
+const getCachedChannelMembers = async (channelId) => {
+  const raw = await getDriver().get(membersKey(channelId));
+  return raw ? JSON.parse(raw) : null;
+};
+
+const forgetChannelMembers = (channelId) =>
+  getDriver().del(membersKey(channelId));
+
+module.exports = {
+  rememberChannelMembers,
+  getCachedChannelMembers,
+  forgetChannelMembers,
+};
@@ -0,0 +1,70 @@
+// node-server/cluster/channelTombstones.js
+// Per-user record of changes to the user's channel list, so syncChannels can
+// report them: channels that disappeared (deleted, left, removed) and channels
+// the user was added to (an old, quiet channel has no newer activity to show):
+//   tombstones:<userId>  capped list of { channelId, reason, removedAt }
+//   channelJoins:<userId>  capped list of { channelId, joinedAt }
+const config = require("../config");
+const { getDriver } = require("./index");
+
+const tombstonesKey = (userId) => `tombstones:${userId}`;
+const joinsKey = (userId) => `channelJoins:${userId}`;
+
+const recordTombstone = (userId, channelId, reason) =>
+  getDriver().rPushCapped(
+    tombstonesKey(userId),
+    JSON.stringify({ channelId, reason, removedAt: Date.now() }),
+    config.channelTombstoneLimit
+  );
+
+// Entries of a capped list newer than `since`, or null when the cap may have
+// dropped some of them (full list whose oldest entry is still newer)
+const entriesSince = async (key, since, timeField) => {
+  const entries = (await getDriver().lRangeAll(key)).map((raw) =>
+    JSON.parse(raw)
+  );
+  if (
+    entries.length >= config.channelTombstoneLimit &&
+    entries[0][timeField] > since
+  ) {
+    return null;
+  }
+  return entries.filter((entry) => entry[timeField] > since);
+};
+
+// Tombstones newer than `since` (epoch ms), latest per channel; null when
+// some may have been trimmed
+const getTombstonesSince = async (userId, since) => {
+  const tombstones = await entriesSince(
+    tombstonesKey(userId),
+    since,
+    "removedAt"
+  );
+  if (!tombstones) return null;
+  const latest = new Map();
+  tombstones.forEach((tombstone) =>
+    latest.set(String(tombstone.channelId), tombstone)
+  );
+  return [...latest.values()];
+};
+
+const recordChannelJoin = (userId, channelId) =>
+  getDriver().rPushCapped(
+    joinsKey(userId),
+    JSON.stringify({ channelId, joinedAt: Date.now() }),
+    config.channelTombstoneLimit
+  );
+
+// IDs (strings) of channels the user was added to after `since` (epoch ms);
+// null when some may have been trimmed
+const getChannelJoinsSince = async (userId, since) => {
+  const joins = await entriesSince(joinsKey(userId), since, "joinedAt");
+  return joins && new Set(joins.map((join) => String(join.channelId)));
+};
+
+module.exports = {
+  recordTombstone,
+  getTombstonesSince,
+  recordChannelJoin,
+  getChannelJoinsSince,
+};
@@ -0,0 +1,38 @@
+// node-server/cluster/draftStore.js
+// Unsent message drafts per user and channel, shared by all of the user's
+// devices: drafts:<userId> hash, channelId -> { text, updatedAt }.
+const { getDriver } = require("./index");
+
+const draftsKey = (userId) => `drafts:${userId}`;
+
+// Saves (or, for empty text, deletes) a draft. Resolves with the stored draft.
+const setDraft = async (userId, channelId, text) => {
+  const driver = getDriver();
+  const draft = { channelId, text: text || "", updatedAt: Date.now() };
+  if (draft.text) {
+    await driver.hSet(
+      draftsKey(userId),
+      String(channelId),
+      JSON.stringify(draft)
+    );
+  } else {
+    await driver.hDel(draftsKey(userId), String(channelId));
+  }
+  return draft;
+};
+
+// { [channelId]: { channelId, text, updatedAt } }
+const getDrafts = async (userId) => {
+  const entries = await getDriver().hGetAll(draftsKey(userId));
+  return Object.fromEntries(
+    Object.entries(entries).map(([channelId, raw]) => [
+      channelId,
+      JSON.parse(raw),
+    ])
+  );
+};
+
+const deleteDraft = (userId, channelId) =>
+  getDriver().hDel(draftsKey(userId), String(channelId));
+
+module.exports = { setDraft, getDrafts, deleteDraft };
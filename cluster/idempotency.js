@@ -0,0 +1,96 @@
+// node-server/cluster/idempotency.js
+// Dedupes retried requests that carry a client idempotency key. The first
+// request runs; retries within the window get the original result back
+// (flagged `duplicate: true`) instead of running the operation again.
+// Each record carries a fingerprint of the request, so a key reused for a
+// different request is rejected instead of replaying an unrelated result.
+const crypto = require("crypto");
+const config = require("../config");
+const { getDriver } = require("./index");
+
+const MAX_KEY_LENGTH = 128;
+
+// Concurrent retries on this node wait for the same run
+const inFlight = new Map();
+
+const isValidIdempotencyKey = (key) =>
+  key === undefined ||
+  key === null ||
+  (typeof key === "string" && key.length > 0 && key.length <= MAX_KEY_LENGTH);
+
+const fingerprintOf = (payload) =>
+  crypto.createHash("sha256").update(JSON.stringify(payload)).digest("hex");
+
+const keyReused = () => ({
+  success: false,
+  error: "This idempotency key was already used for a different request.",
+  code: "IDEMPOTENCY_KEY_REUSED",
+});
+
+const execute = async (storeKey, fingerprint, operation) => {
+  const driver = getDriver();
+  const claimed = await driver.setIfAbsent(
+    storeKey,
+    JSON.stringify({ status: "pending", fingerprint }),
+    config.idempotencyWindowMs
+  );
+
+  if (!claimed) {
+    const existing = JSON.parse((await driver.get(storeKey)) || "null");
+    if (existing && existing.fingerprint !== fingerprint) return keyReused();
+    if (existing?.status === "done") {
+      return { ...existing.result, duplicate: true };
+    }
+    // Still running on another node
+    return {
+      success: false,
+      error: "A request with this key is still being processed.",
+      code: "REQUEST_IN_PROGRESS",
+    };
+  }
+
+  let result;
+  try {
+    result = await operation();
+  } catch (error) {
+    await driver.del(storeKey);
+    throw error;
+  }
+
+  // Only successes are remembered, a failed request may be retried for real
+  if (result?.success) {
+    await driver.set(
+      storeKey,
+      JSON.stringify({ status: "done", fingerprint, result }),
+      config.idempotencyWindowMs
+    );
+  } else {
+    await driver.del(storeKey);
+  }
+  return result;
+};
+
+// `scope` keeps keys apart per user and event, e.g. `42:sendMessage`;
+// `payload` is what the request asks for (IDs, text), compared on replay.
+// Without a key the operation simply runs.
+const runIdempotent = async (scope, key, payload, operation) => {
+  if (key === undefined || key === null) return operation();
+
+  const storeKey = `idempotency:${scope}:${key}`;
+  const fingerprint = fingerprintOf(payload);
+  const running = inFlight.get(storeKey);
+  if (running) {
+    if (running.fingerprint !== fingerprint) return keyReused();
+    return { ...(await running.run), duplicate: true };
+  }
+
+  const run = execute(storeKey, fingerprint, operation);
+  inFlight.set(storeKey, { run, fingerprint });
+  try {
+    return await run;
+  } finally {
+    inFlight.delete(storeKey);
+  }
+};
+
+module.exports = { runIdempotent, isValidIdempotencyKey };
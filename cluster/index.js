@@ -0,0 +1,83 @@
+// node-server/cluster/index.js
+// Pluggable cluster layer: picks a driver from config, provides the
+// Socket.IO adapter and keeps a heartbeat so other nodes can tell when this
+// one has died (its presence entries are then ignored and pruned).
+const config = require("../config");
+const { createMemoryDriver } = require("./memoryDriver");
+const { createRedisDriver } = require("./redisDriver");
+
+const NODES_KEY = "cluster:nodes";
+
+let driver = null;
+let heartbeatTimer = null;
+
+const createDriver = () => {
+  switch (config.clusterDriver) {
+    case "memory":
+      return createMemoryDriver();
+    case "redis":
+      return createRedisDriver({ url: config.redisUrl });
+    default:
+      throw new Error(`Unknown cluster driver "${config.clusterDriver}".`);
+  }
+};
+
+const sendHeartbeat = async () => {
+  try {
+    await driver.hSet(NODES_KEY, config.nodeId, String(Date.now()));
+  } catch (error) {
+    console.error(`[Cluster] Heartbeat failed: ${error.message}`);
+  }
+};
+
+const initCluster = async () => {
+  if (driver) return driver;
+  driver = createDriver();
+  await driver.connect();
+  await sendHeartbeat();
+  heartbeatTimer = setInterval(
+    sendHeartbeat,
+    config.clusterHeartbeatIntervalMs
+  );
+  heartbeatTimer.unref();
+  console.log(
+    `[Cluster] Node ${config.nodeId} joined using "${driver.name}" driver.`
+  );
+  return driver;
+};
+
+const getDriver = () => {
+  if (!driver) throw new Error("Cluster layer has not been initialised.");
+  return driver;
+};
+
+// Returns the Socket.IO adapter for the driver, or null for the default one
+const createAdapter = () => getDriver().createAdapter();
+
+const getLiveNodeIds = async () => {
+  const nodes = await getDriver().hGetAll(NODES_KEY);
+  const cutoff = Date.now() - config.clusterNodeTtlMs;
+  return new Set(
+    Object.keys(nodes).filter((nodeId) => Number(nodes[nodeId]) >= cutoff)
+  );
+};
+
+const closeCluster = async () => {
+  if (!driver) return;
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  try {
+    await driver.hDel(NODES_KEY, config.nodeId);
+  } finally {
+    await driver.close();
+    driver = null;
+  }
+};
+
+module.exports = {
+  initCluster,
+  getDriver,
+  createAdapter,
+  getLiveNodeIds,
+  closeCluster,
+};
@@ -0,0 +1,48 @@
+// node-server/cluster/membershipCache.js
+// Cache of which channels each user belongs to, so a connecting socket can
+// join its channel rooms without a PHP round trip every time.
+//   membership:<userId>          hash channelId -> "1"
+//   membership:<userId>:loaded   marker, expires after config.membershipCacheTtlMs
+// Without the marker the cache is unknown and must be reloaded from PHP;
+// individual changes are applied in place while it is loaded.
+const config = require("../config");
+const { getDriver } = require("./index");
+
+const membersKey = (userId) => `membership:${userId}`;
+const loadedKey = (userId) => `membership:${userId}:loaded`;
+
+// Channel IDs (strings), or null when the cache is not loaded
+const getCachedChannelIds = async (userId) => {
+  const driver = getDriver();
+  if (!(await driver.get(loadedKey(userId)))) return null;
+  return Object.keys(await driver.hGetAll(membersKey(userId)));
+};
+
+// Replaces the cached membership with a fresh list from PHP
+const storeChannelIds = async (userId, channelIds) => {
+  const driver = getDriver();
+  await driver.del(membersKey(userId));
+  await Promise.all(
+    channelIds.map((channelId) =>
+      driver.hSet(membersKey(userId), String(channelId), "1")
+    )
+  );
+  await driver.set(loadedKey(userId), "1", config.membershipCacheTtlMs);
+};
+
+const addCachedChannel = async (userId, channelId) => {
+  const driver = getDriver();
+  // Not loaded: the next load from PHP will include the channel anyway
+  if (!(await driver.get(loadedKey(userId)))) return;
+  await driver.hSet(membersKey(userId), String(channelId), "1");
+};
+
+const removeCachedChannel = (userId, channelId) =>
+  getDriver().hDel(membersKey(userId), String(channelId));
+
+module.exports = {
+  getCachedChannelIds,
+  storeChannelIds,
+  addCachedChannel,
+  removeCachedChannel,
+};
@@ -0,0 +1,190 @@
+// node-server/cluster/memoryDriver.js
+// In-process driver. Only valid for a single Node instance (and for tests):
+// nothing is shared between processes and everything is lost on restart.
+
+// Expired keys are dropped on read, and by a periodic sweep for keys that are
+// never read again (idempotency keys, request IDs, token cache entries...)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryDriver = () => {
+  const hashes = new Map();
+  const strings = new Map();
+  const lists = new Map();
+  const buckets = new Map();
+  let sweepTimer = null;
+
+  // A bucket that has refilled completely is the same as no bucket
+  const sweepExpired = () => {
+    const now = Date.now();
+    strings.forEach((entry, key) => {
+      if (entry.expiresAt && entry.expiresAt <= now) strings.delete(key);
+    });
+    buckets.forEach((bucket, key) => {
+      if (bucket.fullAt <= now) buckets.delete(key);
+    });
+  };
+
+  const getHash = (key, create = false) => {
+    let hash = hashes.get(key);
+    if (!hash && create) {
+      hash = new Map();
+      hashes.set(key, hash);
+    }
+    return hash;
+  };
+
+  return {
+    name: "memory",
+    persistent: false, // State is gone when the process exits
+
+    connect: async () => {
+      sweepTimer = setInterval(sweepExpired, SWEEP_INTERVAL_MS);
+      sweepTimer.unref();
+    },
+
+    hSet: async (key, field, value) => {
+      getHash(key, true).set(field, value);
+    },
+
+    hGet: async (key, field) => {
+      const hash = getHash(key);
+      return hash && hash.has(field) ? hash.get(field) : null;
+    },
+
+    hDel: async (key, field) => {
+      const hash = getHash(key);
+      if (!hash) return 0;
+      const removed = hash.delete(field) ? 1 : 0;
+      if (hash.size === 0) hashes.delete(key);
+      return removed;
+    },
+
+    // Sets a field and resolves with the hash's size afterwards, in one step
+    hSetCount: async (key, field, value) => {
+      const hash = getHash(key, true);
+      hash.set(field, value);
+      return hash.size;
+    },
+
+    // Deletes a field; resolves with [removed (0/1), size afterwards], in one step
+    hDelCount: async (key, field) => {
+      const hash = getHash(key);
+      if (!hash) return [0, 0];
+      const removed = hash.delete(field) ? 1 : 0;
+      if (hash.size === 0) hashes.delete(key);
+      return [removed, hash.size];
+    },
+
+    hGetAll: async (key) => {
+      const hash = getHash(key);
+      return hash ? Object.fromEntries(hash) : {};
+    },
+
+    get: async (key) => {
+      const entry = strings.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        strings.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    set: async (key, value, ttlMs) => {
+      strings.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+
+    // Sets the key only if it does not exist yet. Resolves true when it was set.
+    setIfAbsent: async (key, value, ttlMs) => {
+      const entry = strings.get(key);
+      if (entry && !(entry.expiresAt && entry.expiresAt <= Date.now())) {
+        return false;
+      }
+      strings.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      return true;
+    },
+
+    incr: async (key) => {
+      const next = Number(strings.get(key)?.value || 0) + 1;
+      strings.set(key, { value: String(next), expiresAt: null });
+      return next;
+    },
+
+    // Increments a counter; the TTL is set when the counter is created
+    incrWithTtl: async (key, ttlMs) => {
+      const entry = strings.get(key);
+      if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) {
+        strings.set(key, { value: "1", expiresAt: Date.now() + ttlMs });
+        return 1;
+      }
+      entry.value = String(Number(entry.value) + 1);
+      return Number(entry.value);
+    },
+
+    // Token bucket: takes one token if available, otherwise says when one will be
+    takeToken: async (key, capacity, refillPerSecond) => {
+      const now = Date.now();
+      const refillPerMs = refillPerSecond / 1000;
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      bucket.tokens = Math.min(
+        capacity,
+        bucket.tokens + (now - bucket.updatedAt) * refillPerMs
+      );
+      bucket.updatedAt = now;
+      buckets.set(key, bucket);
+
+      const allowed = bucket.tokens >= 1;
+      if (allowed) bucket.tokens -= 1;
+      bucket.fullAt = now + (capacity - bucket.tokens) / refillPerMs;
+      return allowed
+        ? { allowed: true, retryAfterMs: 0 }
+        : {
+            allowed: false,
+            retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs),
+          };
+    },
+
+    // Appends to a list and keeps only its last `maxLength` items
+    rPushCapped: async (key, value, maxLength) => {
+      const list = lists.get(key) || [];
+      list.push(value);
+      if (list.length > maxLength) list.splice(0, list.length - maxLength);
+      lists.set(key, list);
+    },
+
+    lRangeAll: async (key) => [...(lists.get(key) || [])],
+
+    // Deletes a string key only while it still holds `value`. Resolves true when deleted.
+    delIfEquals: async (key, value) => {
+      const entry = strings.get(key);
+      if (
+        !entry ||
+        (entry.expiresAt && entry.expiresAt <= Date.now()) ||
+        entry.value !== value
+      ) {
+        return false;
+      }
+      strings.delete(key);
+      return true;
+    },
+
+    del: async (key) => {
+      hashes.delete(key);
+      strings.delete(key);
+      lists.delete(key);
+    },
+
+    // The default Socket.IO in-memory adapter is the right one here
+    createAdapter: () => null,
+
+    close: async () => {
+      clearInterval(sweepTimer);
+      hashes.clear();
+      strings.clear();
+      lists.clear();
+      buckets.clear();
+    },
+  };
+};
+
+module.exports = { createMemoryDriver };
@@ -0,0 +1,120 @@
+// node-server/cluster/presenceRegistry.js
+// Cluster-wide registry of which sockets each user has open, on any node.
+// Replaces the old in-process `connectedUsers` Map in socket/handlers.js.
+const config = require("../config");
+const { getDriver, getLiveNodeIds } = require("./index");
+
+const userKey = (userId) => `presence:user:${userId}`;
+
+// All sockets of a user on live nodes. Entries left behind by dead nodes are pruned.
+const getUserSockets = async (userId) => {
+  const driver = getDriver();
+  const [entries, liveNodeIds] = await Promise.all([
+    driver.hGetAll(userKey(userId)),
+    getLiveNodeIds(),
+  ]);
+
+  const sockets = [];
+  const stale = [];
+  Object.entries(entries).forEach(([socketId, raw]) => {
+    let meta = null;
+    try {
+      meta = JSON.parse(raw);
+    } catch (e) {
+      // Unreadable entry, treat as stale
+    }
+    if (meta && liveNodeIds.has(meta.nodeId)) {
+      sockets.push({ socketId, ...meta });
+    } else {
+      stale.push(socketId);
+    }
+  });
+
+  if (stale.length > 0) {
+    await Promise.all(
+      stale.map((socketId) => driver.hDel(userKey(userId), socketId))
+    );
+  }
+  return sockets;
+};
+
+const getUserSocketIds = async (userId) =>
+  (await getUserSockets(userId)).map((entry) => entry.socketId);
+
+const getSocketCount = async (userId) => (await getUserSockets(userId)).length;
+
+const isOnline = async (userId) => (await getSocketCount(userId)) > 0;
+
+// Returns the user's socket count across the cluster after adding this one.
+// `extra` is per-socket metadata (device type, activity) stored alongside.
+// The add and the count are one atomic step, so of two devices connecting at
+// once exactly one sees 1 (and announces the user online).
+const addSocket = async (userId, socketId, extra = {}) => {
+  await getUserSockets(userId); // Prune entries of dead nodes first
+  const meta = { ...extra, nodeId: config.nodeId, connectedAt: Date.now() };
+  return getDriver().hSetCount(userKey(userId), socketId, JSON.stringify(meta));
+};
+
+// Merges `patch` into a registered socket's metadata (no-op once it is gone)
+const updateSocketMeta = async (userId, socketId, patch) => {
+  const driver = getDriver();
+  const raw = await driver.hGet(userKey(userId), socketId);
+  if (!raw) return;
+  const meta = { ...JSON.parse(raw), ...patch };
+  await driver.hSet(userKey(userId), socketId, JSON.stringify(meta));
+};
+
+// Returns the user's socket count across the cluster after removing this one
+// (atomically, like addSocket), or null when the socket was not registered
+// anymore, so a user is announced offline once
+const removeSocket = async (userId, socketId) => {
+  await getUserSockets(userId); // Prune entries of dead nodes first
+  const [removed, count] = await getDriver().hDelCount(
+    userKey(userId),
+    socketId
+  );
+  return removed ? count : null;
+};
+
+// Last-seen timestamps (ISO strings), recorded when a user's last socket closes
+const LAST_SEEN_KEY = "presence:lastSeen";
+
+const setLastSeen = (userId, lastSeen) =>
+  getDriver().hSet(LAST_SEEN_KEY, String(userId), lastSeen);
+
+const getLastSeen = (userId) => getDriver().hGet(LAST_SEEN_KEY, String(userId));
+
+// User-chosen presence settings: { mode, customStatus }
+const STATE_KEY = "presence:state";
+
+const getPresenceState = async (userId) =>
+  JSON.parse((await getDriver().hGet(STATE_KEY, String(userId))) || "{}");
+
+const setPresenceState = (userId, state) =>
+  getDriver().hSet(STATE_KEY, String(userId), JSON.stringify(state));
+
+// Last presence view broadcast for a user, used to skip no-op broadcasts
+const VIEW_KEY = "presence:view";
+
+const swapPresenceView = async (userId, view) => {
+  const driver = getDriver();
+  const previous = await driver.hGet(VIEW_KEY, String(userId));
+  if (previous === view) return false;
+  await driver.hSet(VIEW_KEY, String(userId), view);
+  return true;
+};
+
+module.exports = {
+  addSocket,
+  removeSocket,
+  getUserSockets,
+  getUserSocketIds,
+  getSocketCount,
+  isOnline,
+  updateSocketMeta,
+  setLastSeen,
+  getLastSeen,
+  getPresenceState,
+  setPresenceState,
+  swapPresenceView,
+};
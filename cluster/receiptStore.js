@@ -0,0 +1,127 @@
+// node-server/cluster/receiptStore.js
+// Per-recipient delivery/read state. PHP marks receipts "up to" a message, so
+// each member has one watermark per type and channel, plus a short history of
+// watermark advances so older messages keep accurate timestamps.
+//   receipts:<channelId>                   hash userId -> { delivered, read } watermarks
+//   receipts:<channelId>:<userId>:<type>   capped list of { messageId, at } advances
+//   receipts:<channelId>:latest            highest message ID seen (for channel-wide marks)
+const config = require("../config");
+const { getDriver } = require("./index");
+
+const RECEIPT_TYPES = ["delivered", "read"];
+
+const watermarksKey = (channelId) => `receipts:${channelId}`;
+const historyKey = (channelId, userId, type) =>
+  `receipts:${channelId}:${userId}:${type}`;
+const latestKey = (channelId) => `receipts:${channelId}:latest`;
+
+const parse = (raw) => (raw ? JSON.parse(raw) : {});
+
+// Remembers the newest message of a channel so "mark channel read" can be
+// recorded as a watermark
+const noteLatestMessage = async (channelId, messageId) => {
+  const driver = getDriver();
+  const latest = Number(await driver.get(latestKey(channelId))) || 0;
+  if (Number(messageId) > latest) {
+    await driver.set(latestKey(channelId), String(messageId));
+  }
+};
+
+// Highest message ID seen in the channel, or 0 when unknown
+const getLatestMessageId = async (channelId) =>
+  Number(await getDriver().get(latestKey(channelId))) || 0;
+
+// Message ID the user's watermark of this type is at, or 0
+const getWatermark = async (channelId, userId, type) => {
+  const watermarks = parse(
+    await getDriver().hGet(watermarksKey(channelId), String(userId))
+  );
+  return Number(watermarks[type]?.messageId) || 0;
+};
+
+// Advances the user's watermark(s); reading a message implies it was delivered.
+// Resolves with the per-user delta to broadcast, or null when nothing moved.
+const recordReceipt = async (channelId, userId, type, messageId, at) => {
+  const driver = getDriver();
+  const watermarks = parse(
+    await driver.hGet(watermarksKey(channelId), String(userId))
+  );
+  const types = type === "read" ? ["delivered", "read"] : ["delivered"];
+  const delta = { userId };
+
+  for (const receiptType of types) {
+    const current = watermarks[receiptType];
+    if (current && Number(current.messageId) >= Number(messageId)) continue;
+    watermarks[receiptType] = { messageId, at };
+    delta[receiptType] = { messageId, at };
+    await driver.rPushCapped(
+      historyKey(channelId, userId, receiptType),
+      JSON.stringify({ messageId, at }),
+      config.receiptHistorySize
+    );
+  }
+
+  if (!delta.delivered && !delta.read) return null;
+  await driver.hSet(
+    watermarksKey(channelId),
+    String(userId),
+    JSON.stringify(watermarks)
+  );
+  return delta;
+};
+
+// Channel-wide mark (markChannelRead/markChannelDelivered): everything up to
+// the newest known message. Resolves with the delta, or null.
+const recordChannelMark = async (channelId, userId, type, at) => {
+  const latest = await getDriver().get(latestKey(channelId));
+  if (!latest) return null; // No message seen since the store was empty
+  return recordReceipt(channelId, userId, type, Number(latest), at);
+};
+
+// When did the user's watermark first cover the message? Falls back to the
+// oldest remembered advance once the history has been trimmed.
+const coveredAt = async (channelId, userId, type, messageId) => {
+  const history = (
+    await getDriver().lRangeAll(historyKey(channelId, userId, type))
+  ).map((raw) => JSON.parse(raw));
+  const entry = history.find(
+    (advance) => Number(advance.messageId) >= Number(messageId)
+  );
+  return (entry || history[0])?.at || null;
+};
+
+// Who has the message been delivered to / read by: { delivered: [{ userId, at }], read: [...] }
+const getMessageReceipts = async (channelId, messageId) => {
+  const watermarks = await getDriver().hGetAll(watermarksKey(channelId));
+  const result = { delivered: [], read: [] };
+
+  await Promise.all(
+    Object.entries(watermarks).map(async ([userId, raw]) => {
+      const userWatermarks = parse(raw);
+      for (const type of RECEIPT_TYPES) {
+        const watermark = userWatermarks[type];
+        if (!watermark || Number(watermark.messageId) < Number(messageId)) {
+          continue;
+        }
+        result[type].push({
+          userId: Number(userId),
+          at: await coveredAt(channelId, userId, type, messageId),
+        });
+      }
+    })
+  );
+
+  for (const type of RECEIPT_TYPES) {
+    result[type].sort((a, b) => (a.at || "").localeCompare(b.at || ""));
+  }
+  return result;
+};
+
+module.exports = {
+  noteLatestMessage,
+  getLatestMessageId,
+  getWatermark,
+  recordReceipt,
+  recordChannelMark,
+  getMessageReceipts,
+};
@@ -0,0 +1,171 @@
+// node-server/cluster/redisDriver.js
+// Driver for Redis or any Redis-compatible server (Valkey, KeyDB, ...).
+// Shared state lives in Redis and Socket.IO fan-out goes through pub/sub.
+const Redis = require("ioredis");
+const { createAdapter } = require("@socket.io/redis-adapter");
+
+// Token bucket, atomic across nodes. Returns { allowed (0/1), retryAfterMs }.
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local state = redis.call("HMGET", KEYS[1], "tokens", "updatedAt")
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refillPerMs)
+local allowed = 0
+local retryAfterMs = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+else
+  retryAfterMs = math.ceil((1 - tokens) / refillPerMs)
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "updatedAt", tostring(now))
+redis.call("PEXPIRE", KEYS[1], math.ceil(capacity / refillPerMs) + 1000)
+return { allowed, retryAfterMs }
+`;
+
+const INCR_WITH_TTL_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+end
+return count
+`;
+
+// Compare-and-delete: removes the key only while it holds ARGV[1] (lock release)
+const DEL_IF_EQUALS_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+const createRedisDriver = ({ url, keyPrefix = "chat:" }) => {
+  if (!url) throw new Error("Redis cluster driver requires REDIS_URL.");
+
+  const client = new Redis(url, { keyPrefix, lazyConnect: true });
+  client.defineCommand("takeToken", {
+    numberOfKeys: 1,
+    lua: TAKE_TOKEN_SCRIPT,
+  });
+  client.defineCommand("incrWithTtl", {
+    numberOfKeys: 1,
+    lua: INCR_WITH_TTL_SCRIPT,
+  });
+  client.defineCommand("delIfEquals", {
+    numberOfKeys: 1,
+    lua: DEL_IF_EQUALS_SCRIPT,
+  });
+  // The adapter uses its own connections (a subscriber cannot run commands)
+  const pubClient = new Redis(url, { lazyConnect: true });
+  const subClient = pubClient.duplicate();
+
+  [client, pubClient, subClient].forEach((connection) => {
+    connection.on("error", (error) => {
+      console.error(`[Cluster] Redis connection error: ${error.message}`);
+    });
+  });
+
+  return {
+    name: "redis",
+    persistent: true,
+
+    connect: async () => {
+      await Promise.all([
+        client.connect(),
+        pubClient.connect(),
+        subClient.connect(),
+      ]);
+    },
+
+    hSet: async (key, field, value) => {
+      await client.hset(key, field, value);
+    },
+
+    hGet: (key, field) => client.hget(key, field),
+
+    hDel: (key, field) => client.hdel(key, field),
+
+    // Sets a field and resolves with the hash's size afterwards (MULTI: atomic)
+    hSetCount: async (key, field, value) => {
+      const [, [, size]] = await client
+        .multi()
+        .hset(key, field, value)
+        .hlen(key)
+        .exec();
+      return size;
+    },
+
+    // Deletes a field; resolves with [removed (0/1), size afterwards] (MULTI: atomic)
+    hDelCount: async (key, field) => {
+      const [[, removed], [, size]] = await client
+        .multi()
+        .hdel(key, field)
+        .hlen(key)
+        .exec();
+      return [removed, size];
+    },
+
+    hGetAll: (key) => client.hgetall(key),
+
+    get: (key) => client.get(key),
+
+    set: async (key, value, ttlMs) => {
+      if (ttlMs) {
+        await client.set(key, value, "PX", ttlMs);
+      } else {
+        await client.set(key, value);
+      }
+    },
+
+    // Sets the key only if it does not exist yet. Resolves true when it was set.
+    setIfAbsent: async (key, value, ttlMs) =>
+      ttlMs
+        ? (await client.set(key, value, "PX", ttlMs, "NX")) === "OK"
+        : (await client.set(key, value, "NX")) === "OK",
+
+    incr: (key) => client.incr(key),
+
+    // Increments a counter; the TTL is set when the counter is created
+    incrWithTtl: (key, ttlMs) => client.incrWithTtl(key, ttlMs),
+
+    // Token bucket: takes one token if available, otherwise says when one will be
+    takeToken: async (key, capacity, refillPerSecond) => {
+      const [allowed, retryAfterMs] = await client.takeToken(
+        key,
+        capacity,
+        refillPerSecond / 1000,
+        Date.now()
+      );
+      return { allowed: allowed === 1, retryAfterMs };
+    },
+
+    // Appends to a list and keeps only its last `maxLength` items
+    rPushCapped: async (key, value, maxLength) => {
+      await client.multi().rpush(key, value).ltrim(key, -maxLength, -1).exec();
+    },
+
+    lRangeAll: (key) => client.lrange(key, 0, -1),
+
+    // Deletes a string key only while it still holds `value`. Resolves true when deleted.
+    delIfEquals: async (key, value) =>
+      (await client.delIfEquals(key, value)) === 1,
+
+    del: async (key) => {
+      await client.del(key);
+    },
+
+    createAdapter: () =>
+      createAdapter(pubClient, subClient, { key: `${keyPrefix}socket.io` }),
+
+    close: async () => {
+      await Promise.all(
+        [client, pubClient, subClient].map((connection) => connection.quit())
+      );
+    },
+  };
+};
+
+module.exports = { createRedisDriver };
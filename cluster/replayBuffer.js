@@ -0,0 +1,60 @@
+// node-server/cluster/replayBuffer.js
+// Per-channel event sequence numbers and a bounded buffer of recent channel
+// broadcasts, so a reconnecting client can catch up on what it missed.
+const config = require("../config");
+const { getDriver } = require("./index");
+
+const seqKey = (channelId) => `replay:seq:${channelId}`;
+const eventsKey = (channelId) => `replay:events:${channelId}`;
+
+const getCurrentSeq = async (channelId) =>
+  Number(await getDriver().get(seqKey(channelId))) || 0;
+
+// Assigns the next sequence number for the channel and buffers the event under it
+const recordChannelEvent = async (channelId, event, data) => {
+  const driver = getDriver();
+  const seq = await driver.incr(seqKey(channelId));
+  const entry = { seq, event, data: { ...data, seq }, ts: Date.now() };
+  await driver.rPushCapped(
+    eventsKey(channelId),
+    JSON.stringify(entry),
+    config.replayBufferSize
+  );
+  return seq;
+};
+
+// Returns the events after `lastSeq`, or `resync: true` when part of the gap
+// is no longer buffered (trimmed or older than the replay window).
+const getEventsSince = async (channelId, lastSeq) => {
+  const currentSeq = await getCurrentSeq(channelId);
+  if (lastSeq === currentSeq) {
+    return { seq: currentSeq, events: [], resync: false };
+  }
+  // A client ahead of the server means the counter was reset
+  if (lastSeq > currentSeq) {
+    return { seq: currentSeq, events: [], resync: true };
+  }
+
+  const cutoff = Date.now() - config.replayMaxAgeMs;
+  const buffered = (await getDriver().lRangeAll(eventsKey(channelId)))
+    .map((raw) => JSON.parse(raw))
+    .filter((entry) => entry.ts >= cutoff && entry.seq > lastSeq)
+    .sort((a, b) => a.seq - b.seq);
+
+  if (buffered.length === 0 || buffered[0].seq !== lastSeq + 1) {
+    return { seq: currentSeq, events: [], resync: true };
+  }
+
+  // Stop at the first hole: an event still being recorded by another node
+  // will reach the client live.
+  const contiguous = buffered.filter(
+    (entry, index) => entry.seq === lastSeq + 1 + index
+  );
+  return {
+    seq: currentSeq,
+    events: contiguous.map(({ event, data }) => ({ event, data })),
+    resync: false,
+  };
+};
+
+module.exports = { getCurrentSeq, recordChannelEvent, getEventsSince };
@@ -0,0 +1,76 @@
+// node-server/cluster/scheduledStore.js
+// Durable state of scheduled messages (durable as the cluster store: Redis in
+// production). Every node's scheduler polls the same due index, and a
+// per-message lock makes sure only one of them delivers.
+//   scheduled:<id>            JSON job
+//   scheduled:user:<userId>   hash id -> "1" (the author's jobs, for listing)
+//   scheduled:due             hash id -> sendAt (epoch ms) of pending jobs
+//   scheduled:<id>:lock       held while a node delivers or edits the job; holds
+//                             the holder's token, so an expired holder cannot
+//                             release a lock someone else has taken since
+const crypto = require("crypto");
+const { getDriver } = require("./index");
+
+const jobKey = (id) => `scheduled:${id}`;
+const userKey = (userId) => `scheduled:user:${userId}`;
+const DUE_KEY = "scheduled:due";
+const lockKey = (id) => `scheduled:${id}:lock`;
+
+const getScheduled = async (id) => {
+  const raw = await getDriver().get(jobKey(id));
+  return raw ? JSON.parse(raw) : null;
+};
+
+// Saves the job; only pending jobs are in the due index
+const saveScheduled = async (job) => {
+  const driver = getDriver();
+  await driver.set(jobKey(job.id), JSON.stringify(job));
+  await driver.hSet(userKey(job.userId), job.id, "1");
+  if (job.status === "pending") {
+    await driver.hSet(DUE_KEY, job.id, String(job.sendAt));
+  } else {
+    await driver.hDel(DUE_KEY, job.id);
+  }
+};
+
+const deleteScheduled = async (job) => {
+  const driver = getDriver();
+  await driver.hDel(DUE_KEY, job.id);
+  await driver.hDel(userKey(job.userId), job.id);
+  await driver.del(jobKey(job.id));
+};
+
+// The author's jobs, soonest first
+const listUserScheduled = async (userId) => {
+  const ids = Object.keys(await getDriver().hGetAll(userKey(userId)));
+  const jobs = await Promise.all(ids.map(getScheduled));
+  return jobs.filter(Boolean).sort((a, b) => a.sendAt - b.sendAt);
+};
+
+// IDs of pending jobs due at `now`, soonest first
+const getDueIds = async (now) =>
+  Object.entries(await getDriver().hGetAll(DUE_KEY))
+    .filter(([, sendAt]) => Number(sendAt) <= now)
+    .sort(([, a], [, b]) => Number(a) - Number(b))
+    .map(([id]) => id);
+
+// Resolves with the lock token to release it with, or null when it is taken
+const acquireScheduledLock = async (id, owner, ttlMs) => {
+  const token = `${owner}:${crypto.randomUUID()}`;
+  return (await getDriver().setIfAbsent(lockKey(id), token, ttlMs))
+    ? token
+    : null;
+};
+
+const releaseScheduledLock = (id, token) =>
+  getDriver().delIfEquals(lockKey(id), token);
+
+module.exports = {
+  getScheduled,
+  saveScheduled,
+  deleteScheduled,
+  listUserScheduled,
+  getDueIds,
+  acquireScheduledLock,
+  releaseScheduledLock,
+};
@@ -0,0 +1,62 @@
+// node-server/cluster/threadStore.js
+// Thread state kept next to PHP's replies so notifications and summaries need
+// no extra PHP calls:
+//   thread:<parentId>:participants  hash userId -> "1" (parent author, repliers,
+//                                   anyone who opened the thread)
+//   thread:<parentId>:summary       { replyCount, lastReplyId, lastReplyAt,
+//                                     lastReplyUserId, lastReplyPreview }
+const { getDriver } = require("./index");
+
+const participantsKey = (parentId) => `thread:${parentId}:participants`;
+const summaryKey = (parentId) => `thread:${parentId}:summary`;
+
+const PREVIEW_LENGTH = 100;
+
+const addThreadParticipants = (parentId, userIds) =>
+  Promise.all(
+    userIds
+      .filter(Boolean)
+      .map((userId) =>
+        getDriver().hSet(participantsKey(parentId), String(userId), "1")
+      )
+  );
+
+const getThreadParticipants = async (parentId) =>
+  Object.keys(await getDriver().hGetAll(participantsKey(parentId)));
+
+const getThreadSummary = async (parentId) => {
+  const raw = await getDriver().get(summaryKey(parentId));
+  return raw ? JSON.parse(raw) : null;
+};
+
+// Records a new reply. PHP's reply count wins when it sends one; otherwise the
+// stored count goes up by one. Resolves with the new summary.
+const recordThreadReply = async (parentId, reply, phpReplyCount) => {
+  const previous = await getThreadSummary(parentId);
+  const summary = {
+    replyCount: Number.isInteger(phpReplyCount)
+      ? phpReplyCount
+      : (previous?.replyCount || 0) + 1,
+    lastReplyId: reply.id,
+    lastReplyAt: reply.created_at || new Date().toISOString(),
+    lastReplyUserId: reply.user_id,
+    lastReplyPreview: (reply.message || "").slice(0, PREVIEW_LENGTH),
+  };
+  await getDriver().set(summaryKey(parentId), JSON.stringify(summary));
+  return summary;
+};
+
+// Replaces the reply count with PHP's (e.g. after loading the thread)
+const syncThreadReplyCount = async (parentId, replyCount) => {
+  const summary = { ...(await getThreadSummary(parentId)), replyCount };
+  await getDriver().set(summaryKey(parentId), JSON.stringify(summary));
+  return summary;
+};
+
+module.exports = {
+  addThreadParticipants,
+  getThreadParticipants,
+  getThreadSummary,
+  recordThreadReply,
+  syncThreadReplyCount,
+};
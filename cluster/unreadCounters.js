@@ -0,0 +1,72 @@
+// node-server/cluster/unreadCounters.js
+// Per-user, per-channel unread and unread-mention counters:
+//   unread:<userId>:<channelId>, mentions:<userId>:<channelId>
+// Seeded from PHP on getChannels, bumped on new messages, reset on reads.
+const { getDriver } = require("./index");
+
+const unreadKey = (userId, channelId) => `unread:${userId}:${channelId}`;
+const mentionsKey = (userId, channelId) => `mentions:${userId}:${channelId}`;
+
+const getCounts = async (userId, channelId) => {
+  const driver = getDriver();
+  const [unread, mentions] = await Promise.all([
+    driver.get(unreadKey(userId, channelId)),
+    driver.get(mentionsKey(userId, channelId)),
+  ]);
+  return {
+    unreadCount: Number(unread) || 0,
+    mentionCount: Number(mentions) || 0,
+  };
+};
+
+// { [channelId]: { unreadCount, mentionCount } }
+const getCountsForChannels = async (userId, channelIds) => {
+  const entries = await Promise.all(
+    channelIds.map(async (channelId) => [
+      channelId,
+      await getCounts(userId, channelId),
+    ])
+  );
+  return Object.fromEntries(entries);
+};
+
+// Overwrites the counters with PHP's numbers (either may be undefined = keep)
+const seedCounts = async (userId, channelId, { unreadCount, mentionCount }) => {
+  const driver = getDriver();
+  if (Number.isInteger(unreadCount)) {
+    await driver.set(unreadKey(userId, channelId), String(unreadCount));
+  }
+  if (Number.isInteger(mentionCount)) {
+    await driver.set(mentionsKey(userId, channelId), String(mentionCount));
+  }
+};
+
+const incrementCounts = async (userId, channelId, mentioned) => {
+  const driver = getDriver();
+  const unreadCount = await driver.incr(unreadKey(userId, channelId));
+  const mentionCount = mentioned
+    ? await driver.incr(mentionsKey(userId, channelId))
+    : Number(await driver.get(mentionsKey(userId, channelId))) || 0;
+  return { unreadCount, mentionCount };
+};
+
+const resetCounts = async (userId, channelId) => {
+  await seedCounts(userId, channelId, { unreadCount: 0, mentionCount: 0 });
+  return { unreadCount: 0, mentionCount: 0 };
+};
+
+// Partial read: lowers the unread count by `readCount` (never below zero)
+const decrementUnread = async (userId, channelId, readCount) => {
+  const counts = await getCounts(userId, channelId);
+  const unreadCount = Math.max(0, counts.unreadCount - readCount);
+  await getDriver().set(unreadKey(userId, channelId), String(unreadCount));
+  return { ...counts, unreadCount };
+};
+
+module.exports = {
+  getCountsForChannels,
+  seedCounts,
+  incrementCounts,
+  resetCounts,
+  decrementUnread,
+};
@@ -1,5 +1,6 @@
 // node-server/config/index.js
 require("dotenv").config();
+const os = require("os");
 
 module.exports = {
   // port: process.env.NODE_PORT,
@@ -7,4 +8,164 @@ module.exports = {
   phpBackendUrl: process.env.PHP_BACKEND_URL,
   allowedOrigin: process.env.ALLOWED_ORIGIN,
   phpApiKey: process.env.PHP_API_KEY,
+
+  // Cluster layer: "memory" for a single instance/tests, "redis" when scaled out
+  clusterDriver: process.env.CLUSTER_DRIVER || "memory",
+  redisUrl: process.env.REDIS_URL,
+  nodeId: process.env.NODE_ID || `${os.hostname()}-${process.pid}`,
+  clusterHeartbeatIntervalMs: 10000,
+  clusterNodeTtlMs: 30000, // A node missing heartbeats for this long is considered dead
+
+  // Missed-event replay for reconnecting clients (per channel)
+  replayBufferSize: 200,
+  replayMaxAgeMs: 5 * 60 * 1000,
+
+  // How long a client idempotency key is remembered for sendMessage/editMessage/deleteMessage
+  idempotencyWindowMs: 10 * 60 * 1000,
+
+  // Different emoji a single message can collect (each user once per emoji)
+  reactionMaxDistinctEmoji: 20,
+  // Pinned messages per channel; in groups this big only admins may (un)pin
+  pinMaxPerChannel: 50,
+  pinAdminOnlyMinMembers: 20,
+
+  // Scheduled messages. Every node polls the cluster store for due jobs; a job
+  // that fails with PHP unavailable is retried with doubling delays.
+  // The author's token is sealed with schedulerSecret while the job waits.
+  // Only available with a persistent cluster driver (redis).
+  schedulerSecret: process.env.SCHEDULER_SECRET || process.env.PHP_API_KEY,
+  scheduledMessages: {
+    pollIntervalMs: 5000,
+    maxPerUser: 100,
+    maxAheadMs: 365 * 24 * 60 * 60 * 1000,
+    lockTtlMs: 60 * 1000, // Longer than a PHP send with retries
+    maxAttempts: 5,
+    retryBaseDelayMs: 30 * 1000,
+  },
+
+  // Per-message read/delivery receipts are buffered per user and channel, then sent
+  // to PHP as one call (highest message ID) and broadcast as one messageStatusUpdate
+  receiptBatchWindowMs: 750,
+  receiptBatchMaxSize: 100, // Flush early when a batch gets this big
+  // Watermark advances remembered per member, channel and receipt type, which keeps
+  // "seen by" timestamps exact for roughly that many recent reads
+  receiptHistorySize: 50,
+
+  // Explicit presence subscriptions per socket (contacts do not count)
+  presenceMaxSubscriptions: 500,
+  // A socket without activity heartbeats for this long is idle; all idle = "away"
+  presenceAwayAfterMs: 5 * 60 * 1000,
+
+  // Typing indicators expire without a fresh startTyping for typingTimeoutMs;
+  // userTyping is relayed at most once per typingThrottleMs per user and channel
+  typingTimeoutMs: 6000,
+  typingThrottleMs: 3000,
+
+  // Cached channel memberships used to auto-join rooms on connect
+  membershipCacheTtlMs: 10 * 60 * 1000,
+  // Cached member lists per channel (unread counter fan-out)
+  channelMembersCacheTtlMs: 10 * 60 * 1000,
+  // Removed-channel tombstones per user for syncChannels; a client whose last
+  // sync is older than the retention gets fullResync
+  channelTombstoneLimit: 200,
+  channelTombstoneRetentionMs: 7 * 24 * 60 * 60 * 1000,
+
+  // Per-node LRU of PHP reads (channel lists, channel details, latest message
+  // page). Entries are per user and checked against cluster-wide versions that
+  // channel events bump; versions must outlive entries by far.
+  hotCache: {
+    maxEntries: 5000,
+    ttlMs: 60 * 1000,
+    versionTtlMs: 24 * 60 * 60 * 1000,
+  },
+
+  // Token validation cache and live-session revalidation
+  tokenCacheTtlMs: 60 * 1000,
+  tokenRevalidateIntervalMs: 5 * 60 * 1000,
+  revokedTokenTtlMs: 24 * 60 * 60 * 1000, // Keep revocations at least as long as a token lives
+
+  // Token buckets per user and event (capacity = burst, refillPerSecond = sustained rate).
+  // Buckets live in the cluster store, so limits hold across instances.
+  rateLimits: {
+    default: { capacity: 30, refillPerSecond: 5 },
+    events: {
+      sendMessage: { capacity: 20, refillPerSecond: 2 },
+      editMessage: { capacity: 10, refillPerSecond: 1 },
+      deleteMessage: { capacity: 10, refillPerSecond: 1 },
+      addReaction: { capacity: 20, refillPerSecond: 2 },
+      removeReaction: { capacity: 20, refillPerSecond: 2 },
+      pinMessage: { capacity: 10, refillPerSecond: 0.5 },
+      unpinMessage: { capacity: 10, refillPerSecond: 0.5 },
+      searchMessages: { capacity: 10, refillPerSecond: 1 },
+      scheduleMessage: { capacity: 10, refillPerSecond: 0.5 },
+      editScheduledMessage: { capacity: 10, refillPerSecond: 0.5 },
+      cancelScheduledMessage: { capacity: 10, refillPerSecond: 0.5 },
+      startTyping: { capacity: 20, refillPerSecond: 10 }, // Sent per keystroke
+      stopTyping: { capacity: 20, refillPerSecond: 10 },
+      markMessageRead: { capacity: 100, refillPerSecond: 20 },
+      messageDeliveredAck: { capacity: 100, refillPerSecond: 20 },
+      createChannel: { capacity: 5, refillPerSecond: 0.05 },
+      addMembersToGroup: { capacity: 10, refillPerSecond: 0.2 },
+      removeMembersFromGroup: { capacity: 10, refillPerSecond: 0.2 },
+      reauthenticate: { capacity: 5, refillPerSecond: 0.1 },
+      presenceHeartbeat: { capacity: 5, refillPerSecond: 0.5 },
+      setPresence: { capacity: 5, refillPerSecond: 0.2 },
+      updateDraft: { capacity: 20, refillPerSecond: 2 },
+    },
+    // Additional per-channel buckets (per user), keyed by the payload's channelId
+    perChannel: {
+      sendMessage: { capacity: 8, refillPerSecond: 1 },
+    },
+    // High-frequency signals: the excess is dropped without an error and never
+    // counts as a violation (the next one carries the same information)
+    dropWhenLimited: ["startTyping", "stopTyping", "presenceHeartbeat"],
+    // Repeat offenders: muted after `muteAfter` rejections within `windowMs`,
+    // disconnected after `disconnectAfter`. Only rejected mutating events count.
+    violations: {
+      windowMs: 60 * 1000,
+      muteAfter: 20,
+      muteDurationMs: 2 * 60 * 1000,
+      disconnectAfter: 50,
+      events: [
+        "sendMessage",
+        "editMessage",
+        "deleteMessage",
+        "addReaction",
+        "removeReaction",
+        "pinMessage",
+        "unpinMessage",
+        "scheduleMessage",
+        "editScheduledMessage",
+        "cancelScheduledMessage",
+        "createChannel",
+        "updateChannelInfo",
+        "addMembersToGroup",
+        "removeMembersFromGroup",
+      ],
+    },
+  },
+
+  // PHP backend client. Timeouts are per route (first match wins, falling back to
+  // timeoutMs); only idempotent methods (GET/PUT/DELETE) are retried.
+  phpClient: {
+    timeoutMs: 10000,
+    routeTimeouts: [
+      { method: "get", pattern: /^\/user$/, timeoutMs: 5000 },
+      {
+        method: "put",
+        pattern: /^\/user\/change-online-status$/,
+        timeoutMs: 5000,
+      },
+      { method: "post", pattern: /\/messages$/, timeoutMs: 20000 }, // May carry attachments
+    ],
+    retries: 2,
+    retryBaseDelayMs: 200,
+    retryMaxDelayMs: 2000,
+    // Opens after `failureThreshold` consecutive timeouts/network errors/5xx and fails
+    // fast for `openDurationMs`, then lets a single trial request through
+    breaker: {
+      failureThreshold: 5,
+      openDurationMs: 30 * 1000,
+    },
+  },
 };
@@ -0,0 +1,33 @@
+// node-server/middleware/httpAuth.js
+// Bearer-token auth for the REST gateway, the HTTP twin of socketAuth.js
+const { validateTokenCached } = require("../services/tokenCache");
+
+const httpAuth = async (req, res, next) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication error: No token provided.",
+    });
+  }
+
+  try {
+    const userData = await validateTokenCached(token);
+    // Same fields socketAuth attaches to the socket
+    req.userData = userData;
+    req.token = token;
+    next();
+  } catch (error) {
+    console.error(`HTTP Auth Error: ${error.message}`);
+    // PHP being unreachable is not the client's fault
+    const unavailable = error.code === "BACKEND_UNAVAILABLE";
+    res.status(unavailable ? 503 : 401).json({
+      success: false,
+      error: `Authentication error: ${error.message}`,
+      ...(unavailable && { code: error.code }),
+    });
+  }
+};
+
+module.exports = httpAuth;
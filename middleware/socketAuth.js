@@ -1,5 +1,6 @@
 // node-server/middleware/socketAuth.js
-const { validateToken } = require("../services/phpApiService");
+const { validateTokenCached } = require("../services/tokenCache");
+const { trackSession } = require("../socket/sessions");
 
 const socketAuth = async (socket, next) => {
   const token = socket.handshake.auth.token; // Get token passed from client
@@ -9,17 +10,20 @@ const socketAuth = async (socket, next) => {
   }
 
   try {
-    const userData = await validateToken(token);
+    const userData = await validateTokenCached(token);
     // Attach user data and token to the socket object for later use
-    socket.userData = userData;
-    socket.token = token;
+    // (and join the session room used to expire this token later)
+    trackSession(socket, token, userData);
 
     next(); // Proceed with connection
 
     socket.emit("authenticatedUserData", { user: userData }); // Use a specific event name
   } catch (error) {
     console.error(`Socket Auth Error: ${error.message}`);
-    next(new Error(`Authentication error: ${error.message}`)); // Deny connection
+    const authError = new Error(`Authentication error: ${error.message}`);
+    // Lets clients tell "PHP is down" (BACKEND_UNAVAILABLE) from a bad token
+    if (error.code) authError.data = { code: error.code };
+    next(authError); // Deny connection
   }
 };
 
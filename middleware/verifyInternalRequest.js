@@ -0,0 +1,88 @@
+// node-server/middleware/verifyInternalRequest.js
+// Authenticates server-to-server calls from the PHP backend. Requests must carry
+// the shared `x-api-key`, a unique `x-request-id` and an HMAC-SHA256 signature
+// of "<timestamp>.<request id>.<raw body>" keyed with the same secret, so a
+// captured request cannot be altered. The timestamp limits a request to a
+// window of MAX_CLOCK_SKEW_MS either way, and request IDs seen within that
+// window are rejected, so it cannot be replayed either.
+const crypto = require("crypto");
+const config = require("../config");
+const { getDriver } = require("../cluster");
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_REQUEST_ID_LENGTH = 128;
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+};
+
+const signPayload = (timestamp, requestId, rawBody) =>
+  crypto
+    .createHmac("sha256", config.phpApiKey)
+    .update(`${timestamp}.${requestId}.${rawBody}`)
+    .digest("hex");
+
+const verifyInternalRequest = async (req, res, next) => {
+  if (!config.phpApiKey) {
+    console.error("Internal request rejected: PHP_API_KEY is not configured.");
+    return res
+      .status(503)
+      .json({ success: false, error: "Internal API is not configured." });
+  }
+
+  const apiKey = req.get("x-api-key");
+  const timestamp = req.get("x-timestamp");
+  const signature = req.get("x-signature");
+  const requestId = req.get("x-request-id");
+
+  if (!apiKey || !safeEqual(apiKey, config.phpApiKey)) {
+    return res.status(401).json({ success: false, error: "Invalid API key." });
+  }
+
+  const timestampMs = Number(timestamp) * 1000; // Unix seconds, as PHP's time()
+  if (
+    !Number.isFinite(timestampMs) ||
+    Math.abs(Date.now() - timestampMs) > MAX_CLOCK_SKEW_MS
+  ) {
+    return res
+      .status(401)
+      .json({ success: false, error: "Missing or stale timestamp." });
+  }
+
+  if (!requestId || requestId.length > MAX_REQUEST_ID_LENGTH) {
+    return res
+      .status(401)
+      .json({ success: false, error: "Missing or invalid request ID." });
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString("utf8") : "";
+  if (
+    !signature ||
+    !safeEqual(signature, signPayload(timestamp, requestId, rawBody))
+  ) {
+    return res
+      .status(401)
+      .json({ success: false, error: "Invalid signature." });
+  }
+
+  // Remembered for the whole window a timestamp is accepted in (both ways)
+  const firstSeen = await getDriver().setIfAbsent(
+    `internal:request:${requestId}`,
+    "1",
+    2 * MAX_CLOCK_SKEW_MS
+  );
+  if (!firstSeen) {
+    return res
+      .status(409)
+      .json({ success: false, error: "Request was already processed." });
+  }
+
+  next();
+};
+
+module.exports = verifyInternalRequest;
@@ -0,0 +1,189 @@
+// node-server/routes/chatApi.js
+// REST gateway for bots and server-to-server clients that cannot hold a socket.
+// Mirrors the socket chat API through the shared actions in socket/chatActions.js,
+// so REST calls trigger the same room broadcasts. Mounted under /api.
+const express = require("express");
+const httpAuth = require("../middleware/httpAuth");
+const chatActions = require("../socket/chatActions");
+const { SOCKET_EVENTS } = require("../socket/events");
+const { validatePayload } = require("../socket/validation");
+
+// Path params arrive as strings; socket clients send numeric IDs, keep broadcasts consistent
+const toId = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+
+// Query strings: "true"/"false" become booleans, anything else is left for validation
+const toBoolean = (value) =>
+  value === "true" ? true : value === "false" ? false : value;
+
+const statusForResult = (result, successStatus) => {
+  if (result.success) return successStatus;
+  switch (result.code) {
+    case "INVALID_INPUT":
+      return 400;
+    case "FORBIDDEN":
+      return 403;
+    case "REQUEST_IN_PROGRESS":
+    case "IDEMPOTENCY_KEY_REUSED":
+      return 409;
+    case "BACKEND_UNAVAILABLE":
+      return 503;
+    default:
+      return 422;
+  }
+};
+
+// Runs the chat action behind a socket event as the authenticated user.
+// `buildPayload` maps the request onto the event payload, which is validated
+// against the same catalog as socket events.
+const runAction =
+  (io, event, buildPayload, successStatus = 200) =>
+  async (req, res) => {
+    const payload = buildPayload(req);
+    const invalid = validatePayload(event, payload);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    const context = {
+      io,
+      userId: req.userData.id,
+      userToken: req.token,
+      userName: req.userData.profile?.first_name || req.userData.username,
+    };
+    const result = await chatActions[event](context, payload);
+    res.status(statusForResult(result, successStatus)).json(result);
+  };
+
+const createChatApiRouter = (io) => {
+  const router = express.Router();
+  router.use(httpAuth);
+
+  // The optional Idempotency-Key header maps onto idempotencyKey
+  const idempotencyKey = (req) => req.get("idempotency-key") || undefined;
+
+  router.post(
+    "/channels",
+    runAction(io, SOCKET_EVENTS.CREATE_CHANNEL, (req) => ({ ...req.body }), 201)
+  );
+
+  router.put(
+    "/channels/:channelId",
+    runAction(io, SOCKET_EVENTS.UPDATE_CHANNEL_INFO, (req) => ({
+      ...req.body,
+      channelId: toId(req.params.channelId),
+    }))
+  );
+
+  router.post(
+    "/channels/:channelId/messages",
+    runAction(
+      io,
+      SOCKET_EVENTS.SEND_MESSAGE,
+      (req) => ({
+        idempotencyKey: idempotencyKey(req),
+        ...req.body,
+        channelId: toId(req.params.channelId),
+      }),
+      201
+    )
+  );
+
+  router.put(
+    "/channels/:channelId/messages/:messageId",
+    runAction(io, SOCKET_EVENTS.EDIT_MESSAGE, (req) => ({
+      idempotencyKey: idempotencyKey(req),
+      ...req.body,
+      channelId: toId(req.params.channelId),
+      messageId: toId(req.params.messageId),
+    }))
+  );
+
+  router.delete(
+    "/channels/:channelId/messages/:messageId",
+    runAction(io, SOCKET_EVENTS.DELETE_MESSAGE, (req) => ({
+      idempotencyKey: idempotencyKey(req),
+      channelId: toId(req.params.channelId),
+      messageId: toId(req.params.messageId),
+    }))
+  );
+
+  // Body: { emoji }
+  router.post(
+    "/channels/:channelId/messages/:messageId/reactions",
+    runAction(io, SOCKET_EVENTS.ADD_REACTION, (req) => ({
+      emoji: req.body?.emoji,
+      channelId: toId(req.params.channelId),
+      messageId: toId(req.params.messageId),
+    }))
+  );
+
+  router.delete(
+    "/channels/:channelId/messages/:messageId/reactions/:emoji",
+    runAction(io, SOCKET_EVENTS.REMOVE_REACTION, (req) => ({
+      emoji: req.params.emoji,
+      channelId: toId(req.params.channelId),
+      messageId: toId(req.params.messageId),
+    }))
+  );
+
+  // Query: q, channelId, senderId, from, to, hasAttachment, limit, cursor
+  router.get(
+    "/messages/search",
+    runAction(io, SOCKET_EVENTS.SEARCH_MESSAGES, (req) => ({
+      query: req.query.q,
+      channelId: req.query.channelId && toId(req.query.channelId),
+      senderId: req.query.senderId && toId(req.query.senderId),
+      from: req.query.from,
+      to: req.query.to,
+      hasAttachment: toBoolean(req.query.hasAttachment),
+      limit: req.query.limit && toId(req.query.limit),
+      cursor: req.query.cursor,
+    }))
+  );
+
+  router.get(
+    "/channels/:channelId/pins",
+    runAction(io, SOCKET_EVENTS.GET_PINNED_MESSAGES, (req) => ({
+      channelId: toId(req.params.channelId),
+    }))
+  );
+
+  // Body: { messageId }
+  router.post(
+    "/channels/:channelId/pins",
+    runAction(io, SOCKET_EVENTS.PIN_MESSAGE, (req) => ({
+      channelId: toId(req.params.channelId),
+      messageId: req.body?.messageId,
+    }))
+  );
+
+  router.delete(
+    "/channels/:channelId/pins/:messageId",
+    runAction(io, SOCKET_EVENTS.UNPIN_MESSAGE, (req) => ({
+      channelId: toId(req.params.channelId),
+      messageId: toId(req.params.messageId),
+    }))
+  );
+
+  // Body: { userIds: [...] }
+  router.post(
+    "/channels/:channelId/members",
+    runAction(io, SOCKET_EVENTS.ADD_MEMBERS_TO_GROUP, (req) => ({
+      channelId: toId(req.params.channelId),
+      userIdsToAdd: req.body?.userIds,
+    }))
+  );
+
+  // Body: { userIds: [...] }
+  router.delete(
+    "/channels/:channelId/members",
+    runAction(io, SOCKET_EVENTS.REMOVE_MEMBERS_FROM_GROUP, (req) => ({
+      channelId: toId(req.params.channelId),
+      userIdsToRemove: req.body?.userIds,
+    }))
+  );
+
+  return router;
+};
+
+module.exports = { createChatApiRouter };
@@ -0,0 +1,73 @@
+// node-server/routes/internal.js
+// Server-to-server routes for the PHP backend, mounted under /internal.
+const express = require("express");
+const verifyInternalRequest = require("../middleware/verifyInternalRequest");
+const {
+  dispatchDomainEvent,
+  isKnownDomainEvent,
+} = require("../socket/domainEvents");
+const { getCacheStats } = require("../services/hotCache");
+
+const MAX_EVENTS_PER_REQUEST = 100;
+
+const createInternalRouter = (io) => {
+  const router = express.Router();
+  router.use(verifyInternalRequest);
+
+  // POST /internal/events
+  // Body: { type, data } for one event or { events: [{ type, data }, ...] } for a batch
+  router.post("/events", async (req, res) => {
+    const events = Array.isArray(req.body?.events)
+      ? req.body.events
+      : [req.body];
+
+    if (events.length === 0 || events.length > MAX_EVENTS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        error: `Between 1 and ${MAX_EVENTS_PER_REQUEST} events required.`,
+      });
+    }
+    const unknown = events.filter((event) => !isKnownDomainEvent(event?.type));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown event type(s): ${unknown
+          .map((event) => event?.type)
+          .join(", ")}`,
+      });
+    }
+
+    // Dispatch in order so e.g. "message.created" then "message.updated" arrive in sequence
+    const results = [];
+    for (const event of events) {
+      try {
+        await dispatchDomainEvent(io, event);
+        results.push({ type: event.type, success: true });
+      } catch (error) {
+        console.error(
+          `[Internal] Failed to dispatch ${event.type}: ${error.message}`
+        );
+        results.push({
+          type: event.type,
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+
+    const allSucceeded = results.every((result) => result.success);
+    res
+      .status(allSucceeded ? 202 : 207)
+      .json({ success: allSucceeded, results });
+  });
+
+  // GET /internal/cache-stats
+  // Hit/miss counters and size of this node's hot cache (services/hotCache.js)
+  router.get("/cache-stats", (req, res) => {
+    res.json({ success: true, data: getCacheStats() });
+  });
+
+  return router;
+};
+
+module.exports = { createInternalRouter };
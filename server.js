@@ -4,8 +4,20 @@ const http = require("http");
 const { Server } = require("socket.io");
 const cors = require("cors");
 const config = require("./config");
+const { initCluster, createAdapter, closeCluster } = require("./cluster");
 const socketAuth = require("./middleware/socketAuth");
 const { registerSocketHandlers } = require("./socket/handlers");
+const { createInternalRouter } = require("./routes/internal");
+const { createChatApiRouter } = require("./routes/chatApi");
+const {
+  getBackendStatus,
+  onBackendStatusChange,
+} = require("./services/phpApiService");
+const {
+  startSessionMonitor,
+  stopSessionMonitor,
+} = require("./socket/sessions");
+const { startScheduler, stopScheduler } = require("./socket/scheduledMessages");
 
 const app = express();
 app.set("trust proxy", 1);
@@ -24,9 +36,16 @@ app.use(
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization", "Accept"],
     exposedHeaders: ["Access-Control-Allow-Origin"],
-  }),
+  })
 ); // CORS for potential future HTTP routes on Node
-app.use(express.json()); // If you add any standard Express routes
+app.use(
+  express.json({
+    // Keep the raw body around, internal routes verify an HMAC over it
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Basic CORS setup - adjust allowed origins as needed
 const io = new Server(server, {
@@ -57,6 +76,12 @@ app.get("/health", (req, res) => {
   res.status(200).json({ status: "Node server is running" });
 });
 
+// Internal routes for the PHP backend (HMAC-signed, see middleware/verifyInternalRequest.js)
+app.use("/internal", createInternalRouter(io));
+
+// REST gateway mirroring the socket chat API (same bearer token as socketAuth)
+app.use("/api", createChatApiRouter(io));
+
 // Socket.IO Middleware for Authentication
 io.use(socketAuth);
 
@@ -66,22 +91,54 @@ io.on("connection", (socket) => {
   // socket.userData and socket.token are available here
   // Register all event handlers for this connected socket
   registerSocketHandlers(io, socket);
+  // Late joiners learn about an ongoing PHP outage too
+  if (getBackendStatus() !== "available") {
+    socket.emit("backendStatus", { status: getBackendStatus() });
+  }
+});
+
+// Tell this node's clients when the PHP circuit breaker opens or closes
+onBackendStatusChange((status) => {
+  io.local.emit("backendStatus", { status });
 });
 
-// Start the server
-server.listen(config.port, () => {
-  console.log(`Node.js intermediate server listening incoming requests.`);
+// Start the server once the cluster layer (shared presence + adapter) is ready
+const start = async () => {
+  await initCluster();
+  const adapter = createAdapter();
+  if (adapter) {
+    io.adapter(adapter);
+  }
+  // Periodically revalidate the tokens of live sockets against PHP
+  startSessionMonitor(io);
+  // Deliver due scheduled messages (every node polls, one delivers each)
+  startScheduler(io);
+
+  server.listen(config.port, () => {
+    console.log(`Node.js intermediate server listening incoming requests.`);
+  });
+};
+
+start().catch((error) => {
+  console.error(`Failed to start server: ${error.message}`);
+  process.exit(1);
 });
 
 // Graceful shutdown (optional but recommended)
 process.on("SIGTERM", () => {
   console.log("SIGTERM signal received: closing HTTP server");
+  stopSessionMonitor();
+  stopScheduler();
   server.close(() => {
     console.log("HTTP server closed");
     // Close Socket.IO connections if needed
     io.close(() => {
       console.log("Socket.IO closed");
-      process.exit(0);
+      closeCluster()
+        .catch((error) => {
+          console.error(`Failed to close cluster layer: ${error.message}`);
+        })
+        .finally(() => process.exit(0));
     });
   });
 });
@@ -0,0 +1,187 @@
+// node-server/services/hotCache.js
+// Node-local LRU cache for hot PHP reads: the user's channel list, channel
+// details (with members) and the latest message page of a channel.
+//
+// PHP answers these per user (cleared chats, unread counts, permissions), so
+// every entry is keyed by the user it was loaded for and never served to
+// anyone else. Correctness across the cluster comes from versions in the
+// cluster store: each entry remembers the versions of its user and channels
+// when it was loaded, and is only served while they are unchanged.
+//   cacheVersion:channel:<channelId>  bumped by every channel broadcast
+//                                     (emitToChannel) and channel mutation
+//   cacheVersion:user:<userId>        bumped by the user's membership changes
+//                                     and cleared chats
+// Versions are random tokens rather than counters, so a version that expired
+// and was recreated can never match an old snapshot.
+const crypto = require("crypto");
+const config = require("../config");
+const { getDriver } = require("../cluster");
+const { getCachedChannelIds } = require("../cluster/membershipCache");
+const { makePhpRequest } = require("./phpApiService");
+
+const channelVersionKey = (channelId) => `cacheVersion:channel:${channelId}`;
+const userVersionKey = (userId) => `cacheVersion:user:${userId}`;
+
+// Map iteration order is insertion order: the first key is least recently used
+const entries = new Map();
+const stats = { hits: 0, misses: 0, stale: 0, evictions: 0, invalidations: 0 };
+const kindStats = {};
+
+const countFor = (kind, outcome) => {
+  stats[outcome] += 1;
+  if (!kindStats[kind]) kindStats[kind] = { hits: 0, misses: 0, stale: 0 };
+  kindStats[kind][outcome] += 1;
+};
+
+const readVersion = async (key) => (await getDriver().get(key)) || null;
+
+const readChannelVersions = async (channelIds) =>
+  Object.fromEntries(
+    await Promise.all(
+      channelIds.map(async (channelId) => [
+        String(channelId),
+        await readVersion(channelVersionKey(channelId)),
+      ])
+    )
+  );
+
+const isCurrent = async (entry) => {
+  if (entry.expiresAt <= Date.now()) return false;
+  if ((await readVersion(userVersionKey(entry.userId))) !== entry.userVersion) {
+    return false;
+  }
+  const current = await readChannelVersions(Object.keys(entry.channelVersions));
+  return Object.entries(entry.channelVersions).every(
+    ([channelId, version]) => current[channelId] === version
+  );
+};
+
+const store = (cacheKey, entry) => {
+  entries.delete(cacheKey);
+  entries.set(cacheKey, entry);
+  while (entries.size > config.hotCache.maxEntries) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions += 1;
+  }
+};
+
+// Serves `kind`/`key` for the user from the cache, or runs `load` (a PHP call
+// resolving { success, data, ... }) and caches successful results.
+//   channelIds:   channels the result depends on, known up front
+//   channelIdsOf: more channel IDs taken from the loaded result (channel list)
+// Versions are read before loading, so a change that races with the load
+// makes the new entry stale straight away instead of hiding the change.
+const getOrLoad = async (
+  { kind, userId, key, channelIds = [], channelIdsOf },
+  load
+) => {
+  const cacheKey = `${kind}:${userId}:${key}`;
+  const cached = entries.get(cacheKey);
+  if (cached) {
+    if (await isCurrent(cached)) {
+      store(cacheKey, cached); // Most recently used
+      countFor(kind, "hits");
+      return structuredClone(cached.value);
+    }
+    entries.delete(cacheKey);
+    countFor(kind, "stale");
+  } else {
+    countFor(kind, "misses");
+  }
+
+  const [userVersion, channelVersions] = await Promise.all([
+    readVersion(userVersionKey(userId)),
+    readChannelVersions(channelIds),
+  ]);
+  const value = await load();
+  if (!value?.success) return value;
+
+  const lateIds = (channelIdsOf ? channelIdsOf(value) : [])
+    .map(String)
+    .filter((channelId) => !(channelId in channelVersions));
+  Object.assign(channelVersions, await readChannelVersions(lateIds));
+
+  store(cacheKey, {
+    userId,
+    userVersion,
+    channelVersions,
+    value: structuredClone(value),
+    expiresAt: Date.now() + config.hotCache.ttlMs,
+  });
+  return value;
+};
+
+const bump = async (key) => {
+  stats.invalidations += 1;
+  return getDriver().set(
+    key,
+    crypto.randomUUID(),
+    config.hotCache.versionTtlMs
+  );
+};
+
+// Every node drops entries depending on the channel / user on next access
+const invalidateChannel = (channelId) => bump(channelVersionKey(channelId));
+const invalidateUser = (userId) => bump(userVersionKey(userId));
+
+// --- Cached PHP reads ---
+
+// GET /user/channels. Depends on every channel in the list; the IDs known from
+// the membership cache are versioned before loading, the rest after.
+const getUserChannels = async (userId, token) =>
+  getOrLoad(
+    {
+      kind: "channels",
+      userId,
+      key: "all",
+      channelIds: (await getCachedChannelIds(userId)) || [],
+      channelIdsOf: (response) =>
+        (response.data || []).map((channel) => channel?.id).filter(Boolean),
+    },
+    () => makePhpRequest("get", "/user/channels", token)
+  );
+
+// GET /user/channels/<id>: channel metadata and member list
+const getChannelDetails = (userId, token, channelId) =>
+  getOrLoad(
+    { kind: "channel", userId, key: channelId, channelIds: [channelId] },
+    () => makePhpRequest("get", `/user/channels/${channelId}`, token)
+  );
+
+// The most recent message page (page 1) of a channel
+const getLatestMessages = (userId, token, channelId, limit) =>
+  getOrLoad(
+    {
+      kind: "messages",
+      userId,
+      key: `${channelId}:${limit}`,
+      channelIds: [channelId],
+    },
+    () =>
+      makePhpRequest(
+        "get",
+        `/user/channels/${channelId}/messages?page=1&limit=${limit}`,
+        token
+      )
+  );
+
+const getCacheStats = () => ({
+  ...stats,
+  hitRate:
+    stats.hits + stats.misses + stats.stale > 0
+      ? stats.hits / (stats.hits + stats.misses + stats.stale)
+      : null,
+  size: entries.size,
+  maxEntries: config.hotCache.maxEntries,
+  byKind: kindStats,
+});
+
+module.exports = {
+  getOrLoad,
+  getUserChannels,
+  getChannelDetails,
+  getLatestMessages,
+  invalidateChannel,
+  invalidateUser,
+  getCacheStats,
+};
@@ -2,8 +2,11 @@
 const axios = require("axios");
 const config = require("../config");
 
+const clientConfig = config.phpClient;
+
 const phpApiClient = axios.create({
   baseURL: config.phpBackendUrl,
+  timeout: clientConfig.timeoutMs,
   headers: {
     Accept: "application/json",
     "Content-Type": "application/json",
@@ -11,11 +14,174 @@ const phpApiClient = axios.create({
   },
 });
 
+const IDEMPOTENT_METHODS = new Set(["get", "head", "options", "put", "delete"]);
+
+const backendUnavailableError = () => {
+  const error = new Error("Chat backend is temporarily unavailable.");
+  error.code = "BACKEND_UNAVAILABLE";
+  return error;
+};
+
+// Timeouts, network errors and 5xx mean PHP is unhealthy; 4xx means it answered
+const isBackendFailure = (error) =>
+  error.code === "BACKEND_UNAVAILABLE" ||
+  !error.response ||
+  error.response.status >= 500;
+
+const timeoutFor = (method, path) => {
+  const route = clientConfig.routeTimeouts.find(
+    (candidate) => candidate.method === method && candidate.pattern.test(path)
+  );
+  return route ? route.timeoutMs : clientConfig.timeoutMs;
+};
+
+// Full jitter: a random delay up to the exponential backoff cap
+const backoffDelay = (attempt) =>
+  Math.random() *
+  Math.min(
+    clientConfig.retryMaxDelayMs,
+    clientConfig.retryBaseDelayMs * 2 ** (attempt - 1)
+  );
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// --- Circuit breaker (per node) ---
+// closed -> open after too many consecutive failures; open -> half-open once
+// openDurationMs has passed; the single half-open trial closes or reopens it.
+const breaker = {
+  state: "closed",
+  failures: 0,
+  openedAt: 0,
+  trialInFlight: false,
+};
+const statusListeners = new Set();
+
+const getBackendStatus = () =>
+  breaker.state === "closed" ? "available" : "backendUnavailable";
+
+const setBreakerState = (state) => {
+  const previousStatus = getBackendStatus();
+  breaker.state = state;
+  const status = getBackendStatus();
+  if (status === previousStatus) return;
+  console.warn(`[PHP Client] Backend status changed to ${status}`);
+  statusListeners.forEach((listener) => {
+    try {
+      listener(status);
+    } catch (error) {
+      console.error("[PHP Client] Status listener failed:", error);
+    }
+  });
+};
+
+// Registers a listener for "available" <-> "backendUnavailable" transitions
+const onBackendStatusChange = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+// Throws BACKEND_UNAVAILABLE when the breaker does not allow a request now
+const acquireBreaker = () => {
+  if (breaker.state === "open") {
+    if (Date.now() - breaker.openedAt < clientConfig.breaker.openDurationMs) {
+      throw backendUnavailableError();
+    }
+    setBreakerState("half-open");
+  }
+  if (breaker.state === "half-open") {
+    if (breaker.trialInFlight) throw backendUnavailableError();
+    breaker.trialInFlight = true;
+  }
+};
+
+const recordOutcome = (failed) => {
+  breaker.trialInFlight = false;
+  if (!failed) {
+    breaker.failures = 0;
+    if (breaker.state !== "closed") setBreakerState("closed");
+    return;
+  }
+  breaker.failures += 1;
+  if (
+    breaker.state === "half-open" ||
+    breaker.failures >= clientConfig.breaker.failureThreshold
+  ) {
+    breaker.openedAt = Date.now();
+    setBreakerState("open");
+  }
+};
+
+// Sends one logical request: breaker check, per-route timeout, and retries with
+// jittered backoff for idempotent methods. Resolves with the axios response.
+const sendPhpRequest = async (requestConfig) => {
+  const method = (requestConfig.method || "get").toLowerCase();
+  const timeout = timeoutFor(method, requestConfig.url);
+  // form-data streams cannot be replayed, whatever the method
+  const replayable =
+    IDEMPOTENT_METHODS.has(method) &&
+    typeof requestConfig.data?.getHeaders !== "function";
+  const maxAttempts = replayable ? clientConfig.retries + 1 : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    acquireBreaker();
+    try {
+      const response = await phpApiClient({
+        ...requestConfig,
+        method,
+        timeout,
+      });
+      recordOutcome(false);
+      return response;
+    } catch (error) {
+      const failed = isBackendFailure(error);
+      recordOutcome(failed);
+      if (!failed || attempt >= maxAttempts || breaker.state === "open") {
+        throw error;
+      }
+      console.warn(
+        `[PHP Client] ${method.toUpperCase()} ${requestConfig.url} failed (${
+          error.code || error.response?.status
+        }), retry ${attempt}/${maxAttempts - 1}`
+      );
+      await sleep(backoffDelay(attempt));
+    }
+  }
+};
+
+// Identical concurrent GETs (same URL, params and token) share one request.
+// Every caller after the first gets its own copy of the response data.
+const inFlightGets = new Map();
+
+const sendCoalescedPhpRequest = (requestConfig) => {
+  if ((requestConfig.method || "get").toLowerCase() !== "get") {
+    return sendPhpRequest(requestConfig);
+  }
+  const key = JSON.stringify([
+    requestConfig.url,
+    requestConfig.params || null,
+    requestConfig.headers?.Authorization || null,
+  ]);
+  const inFlight = inFlightGets.get(key);
+  if (inFlight) {
+    return inFlight.then((response) => ({
+      ...response,
+      data: structuredClone(response.data),
+    }));
+  }
+  const request = sendPhpRequest(requestConfig).finally(() =>
+    inFlightGets.delete(key)
+  );
+  inFlightGets.set(key, request);
+  return request;
+};
+
 // Function to validate token via PHP backend
 const validateToken = async (token) => {
   if (!token) throw new Error("Token is required");
   try {
-    const response = await phpApiClient.get("/user", {
+    const response = await sendCoalescedPhpRequest({
+      method: "get",
+      url: "/user",
       headers: {
         Authorization: `Bearer ${token}`,
       },
@@ -23,14 +189,28 @@ const validateToken = async (token) => {
     if (response.data && response.data.success) {
       return response.data.data; // Return user data
     } else {
-      throw new Error(response.data?.message || "Invalid token");
+      const rejected = new Error(response.data?.message || "Invalid token");
+      rejected.isAuthFailure = true;
+      throw rejected;
     }
   } catch (error) {
     console.error(
       "PHP Token Validation Error:",
       error.response?.data || error.message
     );
-    throw new Error(error.response?.data?.message || "Token validation failed");
+    const status = error.response?.status;
+    const validationError = new Error(
+      error.response?.data?.message ||
+        (error.isAuthFailure ? error.message : "Token validation failed")
+    );
+    // True when PHP actually rejected the token, false when PHP could not be reached or errored
+    validationError.isAuthFailure =
+      error.isAuthFailure === true || status === 401 || status === 403;
+    // The rejection built above has no response, but PHP did answer it
+    if (!error.isAuthFailure && isBackendFailure(error)) {
+      validationError.code = "BACKEND_UNAVAILABLE";
+    }
+    throw validationError;
   }
 };
 
@@ -61,6 +241,28 @@ const updatePhpOnlineStatus = async (token, isOnline) => {
   }
 };
 
+// Persists rich presence (status, manual mode, custom status, devices)
+const updatePhpPresence = async (token, presence) => {
+  if (!token) {
+    throw new Error("Authentication token missing for presence update.");
+  }
+  try {
+    return await makePhpRequest("put", "/user/presence", token, {
+      status: presence.status,
+      mode: presence.mode,
+      custom_status: presence.customStatus?.text ?? null,
+      custom_status_expires_at: presence.customStatus?.expiresAt ?? null,
+      devices: presence.devices,
+    });
+  } catch (error) {
+    console.error(
+      `[Node Service] Failed to update PHP presence to ${presence.status}:`,
+      error.message
+    );
+    throw error;
+  }
+};
+
 // Function to make generic requests to PHP backend
 const makePhpRequest = async (
   method,
@@ -85,22 +287,45 @@ const makePhpRequest = async (
       headers: mergedHeaders, // Use the merged headers
       data: data,
     };
-    const response = await phpApiClient(requestConfig);
+    const response = await sendCoalescedPhpRequest(requestConfig);
     return response.data;
   } catch (error) {
     console.error(
       `PHP API Error (${method} ${path}):`,
       error.response?.data || error.message
     );
-    throw new Error(
-      error.response?.data?.message || `Failed to ${method} ${path}`
+    const requestError = new Error(
+      error.response?.data?.message ||
+        (error.code === "BACKEND_UNAVAILABLE"
+          ? error.message
+          : `Failed to ${method} ${path}`)
     );
+    requestError.status = error.response?.status;
+    if (isBackendFailure(error)) requestError.code = "BACKEND_UNAVAILABLE";
+    throw requestError;
   }
 };
 
+// multipart/form-data variant of makePhpRequest (form-data instance as the body)
+const makePhpFormRequest = (
+  method,
+  path,
+  token,
+  formData,
+  customHeaders = {}
+) =>
+  makePhpRequest(method, path, token, formData, {
+    ...formData.getHeaders(),
+    ...customHeaders,
+  });
+
 module.exports = {
   validateToken,
   makePhpRequest,
-  phpApiClient, // Export client if needed for direct FormData use elsewhere
+  makePhpFormRequest,
+  phpApiClient, // Raw client: bypasses timeouts per route, retries and the breaker
   updatePhpOnlineStatus,
+  updatePhpPresence,
+  getBackendStatus,
+  onBackendStatusChange,
 };
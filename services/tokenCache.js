@@ -0,0 +1,103 @@
+// node-server/services/tokenCache.js
+// TTL cache around validateToken, shared across the cluster, with revocation
+// hooks. Tokens are only ever stored hashed.
+const crypto = require("crypto");
+const config = require("../config");
+const { getDriver } = require("../cluster");
+const { validateToken } = require("./phpApiService");
+
+const cacheKey = (tokenHash) => `auth:token:${tokenHash}`;
+const revokedKey = (tokenHash) => `auth:revoked:${tokenHash}`;
+const userRevokedKey = (userId) => `auth:user-revoked-at:${userId}`;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const authFailure = (message) => {
+  const error = new Error(message);
+  error.isAuthFailure = true;
+  return error;
+};
+
+// Expiry reported by PHP for the token, if any (epoch ms or null)
+const getTokenExpiry = (userData) => {
+  const expiresAt = Date.parse(userData?.token_expires_at);
+  return Number.isFinite(expiresAt) ? expiresAt : null;
+};
+
+const validateTokenCached = async (token, { bypassCache = false } = {}) => {
+  if (!token) throw new Error("Token is required");
+  const driver = getDriver();
+  const tokenHash = hashToken(token);
+
+  if (await driver.get(revokedKey(tokenHash))) {
+    throw authFailure("Token has been revoked");
+  }
+
+  if (!bypassCache) {
+    const cached = JSON.parse(
+      (await driver.get(cacheKey(tokenHash))) || "null"
+    );
+    if (cached) {
+      // Entries cached before the user's sessions were revoked go back to PHP
+      const revokedAt = Number(
+        await driver.get(userRevokedKey(cached.userData.id))
+      );
+      const isExpired =
+        cached.expiresAt !== null && cached.expiresAt <= Date.now();
+      if (!isExpired && !(revokedAt && cached.validatedAt <= revokedAt)) {
+        return cached.userData;
+      }
+    }
+  }
+
+  let userData;
+  try {
+    userData = await validateToken(token);
+  } catch (error) {
+    if (error.isAuthFailure) await driver.del(cacheKey(tokenHash));
+    throw error;
+  }
+
+  const expiresAt = getTokenExpiry(userData);
+  if (expiresAt !== null && expiresAt <= Date.now()) {
+    throw authFailure("Token has expired");
+  }
+  const ttlMs =
+    expiresAt !== null
+      ? Math.min(config.tokenCacheTtlMs, expiresAt - Date.now())
+      : config.tokenCacheTtlMs;
+  await driver.set(
+    cacheKey(tokenHash),
+    JSON.stringify({ userData, validatedAt: Date.now(), expiresAt }),
+    Math.max(1, ttlMs)
+  );
+  return userData;
+};
+
+// Revocation hooks (logout, password change, ...)
+const revokeTokenHash = async (tokenHash) => {
+  const driver = getDriver();
+  await driver.del(cacheKey(tokenHash));
+  await driver.set(revokedKey(tokenHash), "1", config.revokedTokenTtlMs);
+};
+
+const revokeToken = (token) => revokeTokenHash(hashToken(token));
+
+// Invalidates every cached token of the user; they must be revalidated with PHP
+const revokeUserTokens = async (userId) => {
+  await getDriver().set(
+    userRevokedKey(userId),
+    String(Date.now()),
+    config.revokedTokenTtlMs
+  );
+};
+
+module.exports = {
+  hashToken,
+  getTokenExpiry,
+  validateTokenCached,
+  revokeToken,
+  revokeTokenHash,
+  revokeUserTokens,
+};
@@ -0,0 +1,146 @@
+// node-server/socket/broadcast.js
+// Broadcast helpers: sequenced channel broadcasts, and reaching a user's
+// sockets wherever they are connected in the cluster through their
+// `user_<id>` room (the adapter routes these to the right node).
+const { recordChannelEvent } = require("../cluster/replayBuffer");
+const {
+  addCachedChannel,
+  removeCachedChannel,
+} = require("../cluster/membershipCache");
+const {
+  getCachedChannelMembers,
+  forgetChannelMembers,
+} = require("../cluster/channelMembers");
+const {
+  recordTombstone,
+  recordChannelJoin,
+} = require("../cluster/channelTombstones");
+const { invalidateChannel, invalidateUser } = require("../services/hotCache");
+
+// Cache invalidation must never keep an event from going out
+const invalidateSafely = (invalidation, what) =>
+  invalidation.catch((error) => {
+    console.error(
+      `[Broadcast] Failed to invalidate cached ${what}: ${error.message}`
+    );
+  });
+
+// Broadcasts an event to `channel_<id>`, stamped with the channel's next
+// sequence number and buffered for replay. Never throws: if sequencing fails
+// the event still goes out, just without a `seq`.
+const emitToChannel = async (
+  io,
+  channelId,
+  event,
+  data,
+  { exceptSocketId } = {}
+) => {
+  let payload = data;
+  try {
+    const seq = await recordChannelEvent(channelId, event, data);
+    payload = { ...data, seq };
+  } catch (error) {
+    console.error(
+      `[Broadcast] Failed to sequence ${event} for channel ${channelId}: ${error.message}`
+    );
+  }
+
+  // Anything broadcast to a channel changes what PHP would return for it
+  await invalidateSafely(invalidateChannel(channelId), `channel ${channelId}`);
+
+  let target = io.to(`channel_${channelId}`);
+  if (exceptSocketId) target = target.except(exceptSocketId);
+  target.emit(event, payload);
+  return payload.seq;
+};
+
+// Every socket joins its user's personal room on connect (socket/handlers.js),
+// so user-targeted emits and room changes need no socket lookups
+const userRoom = (userId) => `user_${userId}`;
+
+// Emits an event to all of a user's sockets, on any node
+const emitToUser = async (io, userId, event, data) => {
+  io.to(userRoom(userId)).emit(event, data);
+};
+
+// Syncs a user's own action to their other devices (not the acting socket)
+const emitToOtherDevices = (socket, userId, event, data) => {
+  socket.to(userRoom(userId)).emit(event, data);
+};
+
+// Makes all of a user's sockets join a room (e.g. `channel_<id>`)
+const joinUserToRoom = async (io, userId, room) => {
+  io.in(userRoom(userId)).socketsJoin(room);
+};
+
+// Makes all of a user's sockets leave a room
+const removeUserFromRoom = async (io, userId, room) => {
+  io.in(userRoom(userId)).socketsLeave(room);
+};
+
+// --- Channel membership ---
+// Room changes for all of a user's devices (any node) plus the membership cache
+// used to auto-join rooms on connect (socket/membership.js). Additions and
+// removals are also recorded for syncChannels.
+const channelRoom = (channelId) => `channel_${channelId}`;
+
+const addUserToChannel = async (io, userId, channelId) => {
+  await joinUserToRoom(io, userId, channelRoom(channelId));
+  await addCachedChannel(userId, channelId);
+  await recordChannelJoin(userId, channelId);
+  await invalidateSafely(invalidateUser(userId), `user ${userId}`);
+};
+
+// reason: "left" or "removed". The channel's cached member list is dropped
+// so unread counters stop counting the departed user; callers holding fresh
+// channel data re-cache it afterwards.
+const removeUserFromChannel = async (
+  io,
+  userId,
+  channelId,
+  reason = "left"
+) => {
+  await removeUserFromRoom(io, userId, channelRoom(channelId));
+  await removeCachedChannel(userId, channelId);
+  await forgetChannelMembers(channelId);
+  await recordTombstone(userId, channelId, reason);
+  await invalidateSafely(invalidateUser(userId), `user ${userId}`);
+};
+
+// Channel deleted: empties the room and drops it from the cache of every
+// member currently connected (others pick it up on their next reload).
+// Tombstones go to connected members and any cached members.
+const closeChannel = async (io, channelId) => {
+  const sockets = await io.in(channelRoom(channelId)).fetchSockets();
+  io.socketsLeave(channelRoom(channelId));
+  await invalidateSafely(invalidateChannel(channelId), `channel ${channelId}`);
+  const cachedMembers = (await getCachedChannelMembers(channelId)) || [];
+  const memberIds = new Set([
+    ...sockets.map((socket) => String(socket.data.userId)),
+    ...cachedMembers.map((member) => String(member.id)),
+  ]);
+  await Promise.all(
+    [...memberIds].map(async (memberId) => {
+      await removeCachedChannel(memberId, channelId);
+      await recordTombstone(memberId, channelId, "deleted");
+    })
+  );
+};
+
+// Disconnects all of a user's sockets (e.g. account suspended)
+const disconnectUser = async (io, userId) => {
+  io.in(userRoom(userId)).disconnectSockets(true);
+};
+
+module.exports = {
+  userRoom,
+  emitToChannel,
+  emitToUser,
+  emitToOtherDevices,
+  joinUserToRoom,
+  removeUserFromRoom,
+  addUserToChannel,
+  removeUserFromChannel,
+  closeChannel,
+  disconnectUser,
+};
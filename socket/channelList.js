@@ -0,0 +1,105 @@
+// node-server/socket/channelList.js
+// Sorting, filtering and cursor pagination of the user's channel list for
+// getChannels, and change detection for syncChannels. PHP returns the whole
+// list; this shapes it before it goes over the wire.
+
+const timestamp = (value) => Date.parse(value || "") || 0;
+
+// Newest of creation, update and last message
+const lastActivity = (channel) =>
+  Math.max(
+    timestamp(channel.created_at),
+    timestamp(channel.updated_at),
+    timestamp(channel.last_message?.created_at)
+  );
+
+const isArchived = (channel) =>
+  Boolean(channel.is_archived || channel.archived_at);
+
+// direction: 1 ascending, -1 descending. Ties are broken by channel ID so the
+// order (and therefore every cursor) is stable.
+const SORTS = {
+  lastActivity: { key: lastActivity, direction: -1 },
+  name: { key: (channel) => (channel.name || "").toLowerCase(), direction: 1 },
+};
+
+const compareKeys = (sort, [keyA, idA], [keyB, idB]) => {
+  if (keyA < keyB) return -sort.direction;
+  if (keyA > keyB) return sort.direction;
+  return Number(idA) - Number(idB);
+};
+
+// Cursors are opaque to clients: the sort key and ID of the last item returned
+const encodeCursor = (key, id) =>
+  Buffer.from(JSON.stringify([key, id])).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return Array.isArray(decoded) && decoded.length === 2 ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const matchesFilters = (
+  channel,
+  { type, archived, unreadOnly },
+  unreadCounts
+) => {
+  if (type === "group" && Number(channel.is_group) !== 1) return false;
+  if (type === "direct" && Number(channel.is_group) === 1) return false;
+  if (archived !== undefined && isArchived(channel) !== archived) return false;
+  if (unreadOnly && !(unreadCounts[channel.id]?.unreadCount > 0)) return false;
+  return true;
+};
+
+// getChannels payload fields that switch it from the full list to a query
+const LIST_QUERY_FIELDS = [
+  "limit",
+  "cursor",
+  "sort",
+  "type",
+  "archived",
+  "unreadOnly",
+];
+
+// Resolves { channels, nextCursor } or { error } for a bad cursor.
+// Without `limit` (and without a cursor) every matching channel is returned.
+const queryChannels = (channels, options, unreadCounts) => {
+  const sort = SORTS[options.sort || "lastActivity"];
+  const keyOf = (channel) => [sort.key(channel), channel.id];
+
+  let matching = channels
+    .filter((channel) => channel?.id)
+    .filter((channel) => matchesFilters(channel, options, unreadCounts))
+    .sort((a, b) => compareKeys(sort, keyOf(a), keyOf(b)));
+
+  if (options.cursor) {
+    const after = decodeCursor(options.cursor);
+    if (!after) return { error: "Invalid cursor" };
+    matching = matching.filter(
+      (channel) => compareKeys(sort, keyOf(channel), after) > 0
+    );
+  }
+
+  const limit = options.limit || (options.cursor ? 50 : Infinity);
+  const page = matching.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    channels: page,
+    nextCursor:
+      matching.length > page.length ? encodeCursor(...keyOf(last)) : null,
+  };
+};
+
+// Channels created or changed after `since` (epoch ms), plus those whose IDs
+// are in `joinedIds` (the user was added after `since`)
+const channelsChangedSince = (channels, since, joinedIds = new Set()) =>
+  channels.filter(
+    (channel) =>
+      channel?.id &&
+      (lastActivity(channel) > since || joinedIds.has(String(channel.id)))
+  );
+
+module.exports = { LIST_QUERY_FIELDS, queryChannels, channelsChangedSince };
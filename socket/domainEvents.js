@@ -0,0 +1,203 @@
+// node-server/socket/domainEvents.js
+// Fans domain events pushed by the PHP backend (admin panel, cron jobs, mobile
+// REST API) out to connected clients, using the same rooms and event names as
+// socket/handlers.js so clients cannot tell where a change came from.
+const {
+  emitToChannel,
+  emitToUser,
+  addUserToChannel,
+  removeUserFromChannel,
+  closeChannel,
+  disconnectUser,
+} = require("./broadcast");
+const { expireSession } = require("./sessions");
+const {
+  hashToken,
+  revokeTokenHash,
+  revokeUserTokens,
+} = require("../services/tokenCache");
+const { noteLatestMessage } = require("../cluster/receiptStore");
+const {
+  rememberChannelMembers,
+  forgetChannelMembers,
+} = require("../cluster/channelMembers");
+const { countNewMessage } = require("./unread");
+const { publishThreadReply } = require("./threads");
+const { unpinDeletedMessage } = require("./chatActions");
+
+const requireFields = (data, fields) => {
+  const missing = fields.filter(
+    (field) => data[field] === undefined || data[field] === null
+  );
+  if (missing.length > 0) {
+    throw new Error(`Missing field(s): ${missing.join(", ")}`);
+  }
+};
+
+const domainEventHandlers = {
+  "message.created": async (io, data) => {
+    requireFields(data, ["channelId", "message"]);
+    if (data.message.parent_message_id) {
+      await publishThreadReply(io, {
+        channelId: data.channelId,
+        parentMessageId: data.message.parent_message_id,
+        reply: data.message,
+        senderId: data.message.user_id,
+        token: null,
+      });
+      return;
+    }
+    await emitToChannel(io, data.channelId, "newMessage", {
+      channelId: data.channelId,
+      message: data.message,
+    });
+    if (data.message.id) {
+      await noteLatestMessage(data.channelId, data.message.id);
+    }
+    // No user token here: only counts for channels whose members are cached
+    await countNewMessage(
+      io,
+      data.channelId,
+      data.message,
+      data.message.user_id,
+      null
+    );
+  },
+
+  "message.updated": async (io, data) => {
+    requireFields(data, ["channelId", "message"]);
+    await emitToChannel(io, data.channelId, "messageUpdated", {
+      channelId: data.channelId,
+      message: data.message,
+    });
+  },
+
+  // `pins`: the channel's remaining pins, when the deleted message was pinned
+  "message.deleted": async (io, data) => {
+    requireFields(data, ["channelId", "messageId"]);
+    await emitToChannel(io, data.channelId, "messageDeleted", {
+      channelId: data.channelId,
+      messageId: data.messageId,
+    });
+    await unpinDeletedMessage(io, {
+      channelId: data.channelId,
+      messageId: data.messageId,
+      userId: data.userId ?? null,
+      pins: data.pins,
+    });
+  },
+
+  "channel.created": async (io, data) => {
+    requireFields(data, ["channel"]);
+    const channelData = data.channel;
+    await rememberChannelMembers(channelData);
+    const memberIds =
+      data.userIds || (channelData.users || []).map((u) => u.id);
+    await Promise.all(
+      memberIds.map((memberId) =>
+        Promise.all([
+          emitToUser(io, memberId, "newChannelCreated", { channelData }),
+          addUserToChannel(io, memberId, channelData.id),
+        ])
+      )
+    );
+  },
+
+  "channel.updated": async (io, data) => {
+    requireFields(data, ["channelId", "channel"]);
+    await rememberChannelMembers(data.channel);
+    await emitToChannel(io, data.channelId, "channelUpdated", {
+      channelId: data.channelId,
+      channelData: data.channel,
+    });
+  },
+
+  "channel.deleted": async (io, data) => {
+    requireFields(data, ["channelId"]);
+    await emitToChannel(io, data.channelId, "channelDeleted", {
+      channelId: data.channelId,
+    });
+    await closeChannel(io, data.channelId);
+    await forgetChannelMembers(data.channelId);
+  },
+
+  "channel.members_added": async (io, data) => {
+    requireFields(data, ["channelId", "userIds", "channel"]);
+    await rememberChannelMembers(data.channel);
+    await Promise.all(
+      data.userIds.map((memberId) =>
+        addUserToChannel(io, memberId, data.channelId)
+      )
+    );
+    await emitToChannel(io, data.channelId, "channelUpdated", {
+      channelId: data.channelId,
+      channelData: data.channel,
+    });
+  },
+
+  "user.removed": async (io, data) => {
+    requireFields(data, ["channelId", "userIds"]);
+    await Promise.all(
+      data.userIds.map(async (removedUserId) => {
+        await emitToUser(io, removedUserId, "removedFromGroup", {
+          channelId: data.channelId,
+          message: `You were removed from the group.`,
+        });
+        await removeUserFromChannel(
+          io,
+          removedUserId,
+          data.channelId,
+          "removed"
+        );
+      })
+    );
+    if (data.channel) {
+      await rememberChannelMembers(data.channel);
+      await emitToChannel(io, data.channelId, "channelUpdated", {
+        channelId: data.channelId,
+        channelData: data.channel,
+      });
+    } else {
+      await forgetChannelMembers(data.channelId);
+    }
+  },
+
+  // Logout / password change: { token } ends one session, { userId } all of the user's
+  "session.revoked": async (io, data) => {
+    if (data.token) {
+      const tokenHash = hashToken(data.token);
+      await revokeTokenHash(tokenHash);
+      expireSession(io, tokenHash, "revoked");
+      return;
+    }
+    requireFields(data, ["userId"]);
+    await revokeUserTokens(data.userId);
+    await emitToUser(io, data.userId, "sessionExpired", { reason: "revoked" });
+    await disconnectUser(io, data.userId);
+  },
+
+  "account.suspended": async (io, data) => {
+    requireFields(data, ["userId"]);
+    await revokeUserTokens(data.userId);
+    await emitToUser(io, data.userId, "accountSuspended", {
+      reason: data.reason || null,
+    });
+    await disconnectUser(io, data.userId);
+  },
+};
+
+const isKnownDomainEvent = (type) =>
+  Object.prototype.hasOwnProperty.call(domainEventHandlers, type);
+
+// Throws on unknown types or malformed data
+const dispatchDomainEvent = async (io, { type, data }) => {
+  if (!isKnownDomainEvent(type)) {
+    throw new Error(`Unknown event type "${type}"`);
+  }
+  if (!data || typeof data !== "object") {
+    throw new Error("Event data must be an object");
+  }
+  await domainEventHandlers[type](io, data);
+};
+
+module.exports = { dispatchDomainEvent, isKnownDomainEvent };
@@ -0,0 +1,324 @@
+// node-server/socket/events.js
+// Central socket event catalog: event names, plus for every client -> server
+// event the payload schema and whether the client expects an ack. The
+// validation middleware (socket/validation.js) enforces it before any handler runs.
+
+const SOCKET_EVENTS = {
+  START_TYPING: "startTyping",
+  STOP_TYPING: "stopTyping",
+  USER_TYPING: "userTyping",
+  USER_STOPPED_TYPING: "userStoppedTyping",
+  GET_TYPING_USERS: "getTypingUsers",
+
+  MESSAGE_DELIVERED_ACK: "messageDeliveredAck",
+  MARK_MESSAGE_READ: "markMessageRead",
+  MARK_CHANNEL_READ: "markChannelRead",
+  MARK_CHANNEL_DELIVERED: "markChannelDelivered",
+  MESSAGE_STATUS_UPDATE: "messageStatusUpdate",
+  CHANNEL_READ_UPDATE: "channelReadUpdate",
+  CHANNEL_BULK_DELIVERED_UPDATE: "channelBulkDeliveredUpdate",
+  CHANNEL_BULK_READ_UPDATE: "channelBulkReadUpdate",
+  UNREAD_COUNT_UPDATED: "unreadCountUpdated",
+  CHANNEL_READ_SYNC: "channelReadSync", // Own read, synced to the reader's other devices
+  GET_MESSAGE_RECEIPTS: "getMessageReceipts",
+
+  GET_PRESENCE: "getPresence",
+  SUBSCRIBE_PRESENCE: "subscribePresence",
+  UNSUBSCRIBE_PRESENCE: "unsubscribePresence",
+  PRESENCE_HEARTBEAT: "presenceHeartbeat",
+  SET_PRESENCE: "setPresence",
+  PRESENCE_CHANGED: "presenceChanged",
+
+  UPDATE_DRAFT: "updateDraft",
+  GET_DRAFTS: "getDrafts",
+  DRAFT_UPDATED: "draftUpdated",
+
+  REACTIONS_UPDATED: "reactionsUpdated",
+
+  PIN_MESSAGE: "pinMessage",
+  UNPIN_MESSAGE: "unpinMessage",
+  GET_PINNED_MESSAGES: "getPinnedMessages",
+  PINS_UPDATED: "pinsUpdated",
+
+  SEARCH_MESSAGES: "searchMessages",
+
+  SCHEDULE_MESSAGE: "scheduleMessage",
+  LIST_SCHEDULED_MESSAGES: "listScheduledMessages",
+  EDIT_SCHEDULED_MESSAGE: "editScheduledMessage",
+  CANCEL_SCHEDULED_MESSAGE: "cancelScheduledMessage",
+  SCHEDULED_MESSAGES_UPDATED: "scheduledMessagesUpdated", // Synced to all of the author's devices
+  SCHEDULED_MESSAGE_SENT: "scheduledMessageSent",
+  SCHEDULED_MESSAGE_FAILED: "scheduledMessageFailed",
+
+  GET_THREAD_MESSAGES: "getThreadMessages",
+  THREAD_MESSAGE: "threadMessage",
+
+  RESUME_CHANNELS: "resumeChannels",
+  REAUTHENTICATE: "reauthenticate",
+
+  GET_CHANNELS: "getChannels",
+  SYNC_CHANNELS: "syncChannels",
+  GET_MESSAGES: "getMessages",
+  SEND_MESSAGE: "sendMessage",
+  EDIT_MESSAGE: "editMessage",
+  DELETE_MESSAGE: "deleteMessage",
+  ADD_REACTION: "addReaction",
+  REMOVE_REACTION: "removeReaction",
+  CLEAR_CHANNEL_CHAT: "clearChannelChat",
+  DELETE_CHANNEL: "deleteChannel",
+  CREATE_CHANNEL: "createChannel",
+  LEAVE_GROUP: "leaveGroup",
+  UPDATE_CHANNEL_INFO: "updateChannelInfo",
+  ADD_MEMBERS_TO_GROUP: "addMembersToGroup",
+  REMOVE_MEMBERS_FROM_GROUP: "removeMembersFromGroup",
+};
+
+// --- Field rules ---
+// type: "id" (positive integer or numeric string), "string", "integer", "boolean",
+//       "array", "object", "enum"
+// required: must be present (not undefined); nullable: null is accepted
+const id = (options = {}) => ({ type: "id", ...options });
+const string = (options = {}) => ({ type: "string", ...options });
+const integer = (options = {}) => ({ type: "integer", ...options });
+const idArray = (options = {}) => ({
+  type: "array",
+  items: id(),
+  minItems: 1,
+  maxItems: 256,
+  ...options,
+});
+
+const channelIdOnly = { channelId: id({ required: true }) };
+const messageRef = {
+  channelId: id({ required: true }),
+  messageId: id({ required: true }),
+};
+const idempotencyKey = string({ minLength: 1, maxLength: 128 });
+// Checked to be an emoji by the reaction actions
+const emoji = string({ required: true, minLength: 1, maxLength: 64 });
+
+// ack: "required" -> handler always gets a callable callback (a no-op if the client sent none)
+//      "none"     -> fire-and-forget, no callback is passed to the handler
+// requireOneOf: at least one of the listed fields must be present
+// allowOneOf: at most one of the listed fields may be present
+const EVENT_CATALOG = {
+  [SOCKET_EVENTS.REAUTHENTICATE]: {
+    ack: "required",
+    payload: { token: string({ required: true, maxLength: 4096 }) },
+  },
+  [SOCKET_EVENTS.GET_CHANNELS]: {
+    ack: "required",
+    payload: {
+      limit: integer({ min: 1, max: 200 }),
+      cursor: string({ maxLength: 512 }),
+      sort: { type: "enum", values: ["lastActivity", "name"] },
+      type: { type: "enum", values: ["all", "group", "direct"] },
+      archived: { type: "boolean" },
+      unreadOnly: { type: "boolean" },
+    },
+  },
+  [SOCKET_EVENTS.SYNC_CHANNELS]: {
+    ack: "required",
+    payload: { since: integer({ required: true, min: 0 }) },
+  },
+  [SOCKET_EVENTS.RESUME_CHANNELS]: {
+    ack: "required",
+    payload: { channels: { type: "object", required: true } },
+  },
+  [SOCKET_EVENTS.GET_MESSAGES]: {
+    ack: "required",
+    payload: {
+      channelId: id({ required: true }),
+      page: integer({ min: 1 }),
+      limit: integer({ min: 1, max: 100 }),
+      before: id(),
+      after: id(),
+      around: id(),
+    },
+    allowOneOf: ["page", "before", "after", "around"],
+  },
+  [SOCKET_EVENTS.SEARCH_MESSAGES]: {
+    ack: "required",
+    payload: {
+      query: string({ required: true, minLength: 1, maxLength: 200 }),
+      channelId: id(),
+      senderId: id(),
+      from: string({ maxLength: 40 }), // ISO 8601 date or date-time
+      to: string({ maxLength: 40 }),
+      hasAttachment: { type: "boolean" },
+      limit: integer({ min: 1, max: 50 }),
+      cursor: string({ maxLength: 512 }),
+    },
+  },
+  [SOCKET_EVENTS.SCHEDULE_MESSAGE]: {
+    ack: "required",
+    payload: {
+      channelId: id({ required: true }),
+      message: string({ maxLength: 10000 }),
+      attachment_id: id(),
+      sendAt: string({ required: true, maxLength: 40 }), // ISO 8601, with an offset or local
+      timeZone: string({ maxLength: 64 }), // IANA name, required for a local sendAt
+    },
+    requireOneOf: ["message", "attachment_id"],
+  },
+  [SOCKET_EVENTS.LIST_SCHEDULED_MESSAGES]: { ack: "required", payload: {} },
+  [SOCKET_EVENTS.EDIT_SCHEDULED_MESSAGE]: {
+    ack: "required",
+    payload: {
+      scheduledMessageId: string({ required: true, maxLength: 64 }),
+      message: string({ minLength: 1, maxLength: 10000 }),
+      sendAt: string({ maxLength: 40 }),
+      timeZone: string({ maxLength: 64 }),
+    },
+    requireOneOf: ["message", "sendAt", "timeZone"],
+  },
+  [SOCKET_EVENTS.CANCEL_SCHEDULED_MESSAGE]: {
+    ack: "required",
+    payload: { scheduledMessageId: string({ required: true, maxLength: 64 }) },
+  },
+  [SOCKET_EVENTS.GET_THREAD_MESSAGES]: {
+    ack: "required",
+    payload: {
+      channelId: id({ required: true }),
+      parentMessageId: id({ required: true }),
+      limit: integer({ min: 1, max: 100 }),
+      before: id(),
+      after: id(),
+      around: id(),
+    },
+    allowOneOf: ["before", "after", "around"],
+  },
+  [SOCKET_EVENTS.SEND_MESSAGE]: {
+    ack: "required",
+    payload: {
+      channelId: id({ required: true }),
+      message: string({ maxLength: 10000 }),
+      attachment_id: id(),
+      idempotencyKey,
+      replyToMessageId: id(),
+      parentMessageId: id(),
+    },
+    requireOneOf: ["message", "attachment_id"],
+  },
+  [SOCKET_EVENTS.EDIT_MESSAGE]: {
+    ack: "required",
+    payload: {
+      ...messageRef,
+      message: string({ required: true, minLength: 1, maxLength: 10000 }),
+      idempotencyKey,
+    },
+  },
+  [SOCKET_EVENTS.DELETE_MESSAGE]: {
+    ack: "required",
+    payload: { ...messageRef, idempotencyKey },
+  },
+  [SOCKET_EVENTS.ADD_REACTION]: {
+    ack: "required",
+    payload: { ...messageRef, emoji },
+  },
+  [SOCKET_EVENTS.REMOVE_REACTION]: {
+    ack: "required",
+    payload: { ...messageRef, emoji },
+  },
+  [SOCKET_EVENTS.PIN_MESSAGE]: { ack: "required", payload: messageRef },
+  [SOCKET_EVENTS.UNPIN_MESSAGE]: { ack: "required", payload: messageRef },
+  [SOCKET_EVENTS.GET_PINNED_MESSAGES]: {
+    ack: "required",
+    payload: channelIdOnly,
+  },
+  [SOCKET_EVENTS.CLEAR_CHANNEL_CHAT]: {
+    ack: "required",
+    payload: channelIdOnly,
+  },
+  [SOCKET_EVENTS.DELETE_CHANNEL]: { ack: "required", payload: channelIdOnly },
+  [SOCKET_EVENTS.CREATE_CHANNEL]: {
+    ack: "required",
+    payload: {
+      userIds: idArray({ required: true }),
+      is_group: { type: "enum", values: [0, 1], required: true },
+      name: string({ maxLength: 255, nullable: true }),
+      description: string({ maxLength: 2000, nullable: true }),
+      attachment_id: id(),
+    },
+  },
+  [SOCKET_EVENTS.GET_PRESENCE]: {
+    ack: "required",
+    payload: { userIds: idArray({ required: true }) },
+  },
+  [SOCKET_EVENTS.SUBSCRIBE_PRESENCE]: {
+    ack: "required",
+    payload: { userIds: idArray({ required: true }) },
+  },
+  [SOCKET_EVENTS.UNSUBSCRIBE_PRESENCE]: {
+    ack: "required",
+    payload: { userIds: idArray({ required: true }) },
+  },
+  [SOCKET_EVENTS.PRESENCE_HEARTBEAT]: {
+    ack: "none",
+    payload: { idle: { type: "boolean" } },
+  },
+  [SOCKET_EVENTS.SET_PRESENCE]: {
+    ack: "required",
+    payload: {
+      mode: { type: "enum", values: ["auto", "dnd", "invisible"] },
+      statusText: string({ maxLength: 140, nullable: true }),
+      statusExpiresAt: integer({ min: 0, nullable: true }), // Epoch milliseconds
+    },
+    requireOneOf: ["mode", "statusText"],
+  },
+  [SOCKET_EVENTS.UPDATE_DRAFT]: {
+    ack: "required",
+    payload: {
+      channelId: id({ required: true }),
+      text: string({ required: true, maxLength: 10000, nullable: true }), // Empty/null clears it
+    },
+  },
+  [SOCKET_EVENTS.GET_DRAFTS]: { ack: "required", payload: {} },
+  [SOCKET_EVENTS.START_TYPING]: { ack: "none", payload: channelIdOnly },
+  [SOCKET_EVENTS.STOP_TYPING]: { ack: "none", payload: channelIdOnly },
+  [SOCKET_EVENTS.GET_TYPING_USERS]: {
+    ack: "required",
+    payload: channelIdOnly,
+  },
+  [SOCKET_EVENTS.MESSAGE_DELIVERED_ACK]: { ack: "none", payload: messageRef },
+  [SOCKET_EVENTS.MARK_MESSAGE_READ]: { ack: "none", payload: messageRef },
+  [SOCKET_EVENTS.GET_MESSAGE_RECEIPTS]: {
+    ack: "required",
+    payload: messageRef,
+  },
+  [SOCKET_EVENTS.MARK_CHANNEL_DELIVERED]: {
+    ack: "required",
+    payload: channelIdOnly,
+  },
+  [SOCKET_EVENTS.MARK_CHANNEL_READ]: {
+    ack: "required",
+    payload: channelIdOnly,
+  },
+  [SOCKET_EVENTS.LEAVE_GROUP]: { ack: "required", payload: channelIdOnly },
+  [SOCKET_EVENTS.UPDATE_CHANNEL_INFO]: {
+    ack: "required",
+    payload: {
+      channelId: id({ required: true }),
+      name: string({ maxLength: 255, nullable: true }),
+      description: string({ maxLength: 2000, nullable: true }),
+      attachment_id: id({ nullable: true }),
+    },
+    requireOneOf: ["name", "description", "attachment_id"],
+  },
+  [SOCKET_EVENTS.ADD_MEMBERS_TO_GROUP]: {
+    ack: "required",
+    payload: {
+      channelId: id({ required: true }),
+      userIdsToAdd: idArray({ required: true }),
+    },
+  },
+  [SOCKET_EVENTS.REMOVE_MEMBERS_FROM_GROUP]: {
+    ack: "required",
+    payload: {
+      channelId: id({ required: true }),
+      userIdsToRemove: idArray({ required: true }),
+    },
+  },
+};
+
+module.exports = { SOCKET_EVENTS, EVENT_CATALOG };
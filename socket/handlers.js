@@ -1,29 +1,89 @@
 // node-server/socket/handlers.js
+const config = require("../config");
 const {
   makePhpRequest,
-  phpApiClient,
   updatePhpOnlineStatus,
 } = require("../services/phpApiService");
-const FormData = require("form-data"); // If sending FormData from Node
-
-const config = require("../config");
 
-const SOCKET_EVENTS = {
-  // Or define directly if not using separate file
-  START_TYPING: "startTyping",
-  STOP_TYPING: "stopTyping",
-  USER_TYPING: "userTyping",
-  USER_STOPPED_TYPING: "userStoppedTyping",
-  // ... other events
-
-  MESSAGE_DELIVERED_ACK: "messageDeliveredAck",
-  MARK_MESSAGE_READ: "markMessageRead",
-  MARK_CHANNEL_READ: "markChannelRead",
-  MARK_CHANNEL_DELIVERED: "markChannelDelivered",
-  MESSAGE_STATUS_UPDATE: "messageStatusUpdate",
-  CHANNEL_READ_UPDATE: "channelReadUpdate",
-  CHANNEL_BULK_DELIVERED_UPDATE: "channelBulkDeliveredUpdate",
-  CHANNEL_BULK_READ_UPDATE: "channelBulkReadUpdate",
+const presenceRegistry = require("../cluster/presenceRegistry");
+const {
+  userRoom,
+  emitToChannel,
+  emitToUser,
+  emitToOtherDevices,
+  removeUserFromChannel,
+  closeChannel,
+} = require("./broadcast");
+const { getCurrentSeq, getEventsSince } = require("../cluster/replayBuffer");
+const chatActions = require("./chatActions");
+const { trackSession } = require("./sessions");
+const { createRateLimitMiddleware } = require("./rateLimiter");
+const { createValidationMiddleware } = require("./validation");
+const { queueReceipt, flushUserReceipts } = require("./receiptBatcher");
+const { setDraft, getDrafts, deleteDraft } = require("../cluster/draftStore");
+const { storeChannelIds } = require("../cluster/membershipCache");
+const {
+  syncChannelRooms,
+  joinChannelRooms,
+  isInChannelRoom,
+} = require("./membership");
+const {
+  LIST_QUERY_FIELDS,
+  queryChannels,
+  channelsChangedSince,
+} = require("./channelList");
+const {
+  getTombstonesSince,
+  getChannelJoinsSince,
+} = require("../cluster/channelTombstones");
+const { fetchMessageWindow } = require("./messageHistory");
+const { withAggregatedReactions } = require("./reactions");
+const { loadThread } = require("./threads");
+const {
+  getUserChannels,
+  getLatestMessages,
+  invalidateUser,
+} = require("../services/hotCache");
+const { seedFromChannels, countChannelRead } = require("./unread");
+const {
+  startTyping,
+  stopTyping,
+  stopAllTyping,
+  getTypingUsers,
+} = require("./typing");
+const {
+  recordChannelMark,
+  getMessageReceipts,
+} = require("../cluster/receiptStore");
+const { SOCKET_EVENTS } = require("./events");
+const {
+  announcePresence,
+  publishPresenceSafely,
+  registerPresenceSocket,
+  releasePresenceSocket,
+  markSocketActivity,
+  setPresence,
+  isInvisible,
+  joinContactPresenceRooms,
+  subscribePresence,
+  unsubscribePresence,
+  getPresenceSnapshot,
+} = require("./presence");
+const { validateTokenCached } = require("../services/tokenCache");
+const scheduledMessages = require("./scheduledMessages");
+
+// Records a channel-wide read/delivered mark; resolves with the per-user deltas
+// for the broadcast (empty if nothing moved or the store failed)
+const channelMarkDeltas = async (channelId, userId, type, at) => {
+  try {
+    const delta = await recordChannelMark(channelId, userId, type, at);
+    return delta ? [delta] : [];
+  } catch (error) {
+    console.error(
+      `Failed to record ${type} mark for user ${userId} in channel ${channelId}: ${error.message}`
+    );
+    return [];
+  }
 };
 
 const safeStringify = (key, value) => {
@@ -36,8 +96,7 @@ const safeStringify = (key, value) => {
   return value;
 };
 
-// Store connected users { userId: socketId } - simplistic, refine for multiple connections per user if needed
-const connectedUsers = new Map();
+// Connected users live in the cluster-wide presence registry (cluster/presenceRegistry.js)
 // --- Export IO instance ---
 let ioRef = null;
 const getIoInstance = () => ioRef;
@@ -45,44 +104,79 @@ const getIoInstance = () => ioRef;
 const registerSocketHandlers = (io, socket) => {
   ioRef = io; // Store io instance
   const userId = socket.userData.id;
-  const userToken = socket.token; // Use token associated with this specific socket
+  // Always read socket.token at use time: it can be swapped by "reauthenticate"
 
   const userName =
     socket.userData.profile?.first_name || socket.userData.username; // Get user's name
 
+  // Personal room: reaches all of this user's devices on any node (socket/broadcast.js)
+  socket.join(userRoom(userId));
+
+  // Join channel rooms right away (membership cache or PHP), so broadcasts
+  // arrive even if the client never calls getChannels. Room-gated handlers
+  // wait for this (isInChannelRoom); it never rejects
+  socket.data.roomsReady = joinChannelRooms(socket, userId).catch((error) => {
+    console.error(
+      `Failed to auto-join channel rooms for ${userId}: ${error.message}`
+    );
+  });
+
+  // Follow the presence of this user's contacts (PHP contact list)
+  joinContactPresenceRooms(socket).catch((error) => {
+    console.error(
+      `Failed to join contact presence rooms for ${userId}: ${error.message}`
+    );
+  });
+
+  // Scheduled messages are sent with the author's latest token
+  scheduledMessages
+    .refreshScheduledTokens(userId, socket.token)
+    .catch((error) => {
+      console.error(
+        `Failed to refresh scheduled message tokens for ${userId}: ${error.message}`
+      );
+    });
+
   // --- Handle User Connection ---
-  if (!connectedUsers.has(userId)) {
-    connectedUsers.set(userId, new Set());
-  }
-  const userSockets = connectedUsers.get(userId);
-  const isFirstConnection = userSockets.size === 0;
-  userSockets.add(socket.id);
-
-  if (isFirstConnection) {
-    updatePhpOnlineStatus(userToken, true)
-      .then((phpResponse) => {
-        // Check if the user is still connected when the response comes back
-        if (connectedUsers.has(userId)) {
-          io.emit("userOnline", { userId });
-        } else {
-          console.log(
-            `User ${userId} disconnected before PHP online update finished.`
+  // Socket counts are shared across all nodes, so "first connection" means
+  // the user's first socket anywhere in the cluster.
+  registerPresenceSocket(io, socket, userId)
+    .then(async (socketCount) => {
+      // A new device (or a return from away) changes the rich presence view
+      await publishPresenceSafely(io, userId, socket.token);
+      if (socketCount !== 1) return;
+      return updatePhpOnlineStatus(socket.token, true)
+        .catch((error) => {
+          console.error(
+            `Failed to update PHP status to online for ${userId}: ${error.message}`
           );
-        }
-      })
-      .catch((error) => {
-        console.error(
-          `Failed to update PHP status to online for ${userId}: ${error.message}`
-        );
-        // Optionally still broadcast userOnline optimistically? Or handle error?
-        // For now, let's still broadcast so clients *might* see the status change
-        if (connectedUsers.has(userId)) {
-          // Check again before optimistic broadcast
-          io.emit("userOnline", { userId });
-        }
-      });
-  }
+          // Still broadcast so clients *might* see the status change
+        })
+        .then(() =>
+          Promise.all([presenceRegistry.isOnline(userId), isInvisible(userId)])
+        )
+        .then(([stillOnline, invisible]) => {
+          if (invisible) return; // Invisible users keep appearing offline
+          // Check if the user is still connected when the response comes back
+          if (stillOnline) {
+            // Only channel co-members, contacts and subscribers (socket/presence.js)
+            return announcePresence(io, userId, socket.token, "userOnline", {
+              userId,
+            });
+          } else {
+            console.log(
+              `User ${userId} disconnected before PHP online update finished.`
+            );
+          }
+        });
+    })
+    .catch((error) => {
+      console.error(
+        `Failed to register socket ${socket.id} for user ${userId}: ${error.message}`
+      );
+    });
 
+  const baseLogPrefix = `[Socket ${socket.id}][User ${userId}]`;
   const safeCallback = (callback, ...args) => {
     if (typeof callback === "function") {
       try {
@@ -107,34 +201,245 @@ const registerSocketHandlers = (io, socket) => {
     }
   };
 
+  // Rate limiting, then payload validation against the event catalog (socket/events.js),
+  // run before every event handler below. After validation, ack events always get a
+  // callable callback and payloads are at least `{}`.
+  socket.use(createRateLimitMiddleware(socket));
+  socket.use(createValidationMiddleware(socket));
+
+  // Context for the shared chat actions (socket/chatActions.js), also used by the REST gateway
+  const actionContext = () => ({
+    io,
+    userId,
+    userToken: socket.token,
+    userName,
+  });
+
+  // --- Session Handling ---
+  // Swap in a refreshed token without reconnecting. The token must belong to the same user.
+  socket.on(SOCKET_EVENTS.REAUTHENTICATE, async ({ token }, callback) => {
+    const cb = (...args) => safeCallback(callback, ...args);
+    if (!token || typeof token !== "string") {
+      return cb({ success: false, error: "Token required." });
+    }
+
+    try {
+      const userData = await validateTokenCached(token, { bypassCache: true });
+      if (String(userData.id) !== String(userId)) {
+        return cb({
+          success: false,
+          error: "Token belongs to a different user.",
+        });
+      }
+      trackSession(socket, token, userData);
+      scheduledMessages.refreshScheduledTokens(userId, token).catch((error) => {
+        console.error(
+          `${baseLogPrefix} Failed to refresh scheduled message tokens: ${error.message}`
+        );
+      });
+      cb({ success: true, user: userData });
+    } catch (error) {
+      console.warn(`${baseLogPrefix} reauthenticate failed: ${error.message}`);
+      cb({ success: false, error: error.message, code: error.code });
+    }
+  });
+
   // --- Channel Handling ---
 
-  socket.on("getChannels", async (callback) => {
-    const socketId = socket.id; // Capture socket ID for logging
+  // Fetches the user's full channel list (PHP, or the hot cache while nothing
+  // changed) and refreshes everything
+  // derived from it: this socket's rooms, the membership cache and the unread
+  // counters. Resolves with { channelsData, unreadCounts }, or with `error`.
+  const loadChannelList = async () => {
+    const response = await getUserChannels(userId, socket.token);
+    if (!response?.success) {
+      return { error: response?.message || "Failed" };
+    }
+    const channelsData = response.data || [];
+    // Fresh list from PHP: refresh the membership cache and this socket's rooms
+    const channelIds = channelsData
+      .map((channel) => channel?.id)
+      .filter(Boolean);
+    syncChannelRooms(socket, channelIds);
+    storeChannelIds(userId, channelIds).catch((error) => {
+      console.error(
+        `${baseLogPrefix} Failed to cache channel membership: ${error.message}`
+      );
+    });
+    // Unread/mention badges, seeded from PHP's channel list
+    const unreadCounts = await seedFromChannels(userId, channelsData).catch(
+      (error) => {
+        console.error(
+          `${baseLogPrefix} Failed to seed unread counters: ${error.message}`
+        );
+        return {};
+      }
+    );
+    return { channelsData, unreadCounts };
+  };
+
+  // Current event sequence per channel, the client's baseline for resumeChannels
+  const sequencesFor = async (channels) => {
+    const sequences = {};
+    await Promise.all(
+      channels
+        .filter((channel) => channel?.id)
+        .map(async (channel) => {
+          sequences[channel.id] = await getCurrentSeq(channel.id);
+        })
+    );
+    return sequences;
+  };
+
+  const countsFor = (channels, unreadCounts) =>
+    Object.fromEntries(
+      channels
+        .filter((channel) => unreadCounts[channel?.id])
+        .map((channel) => [channel.id, unreadCounts[channel.id]])
+    );
+
+  // Without options: the whole list, as before. With any of limit, cursor,
+  // sort, type, archived or unreadOnly: a sorted, filtered page plus
+  // `nextCursor` (null on the last page).
+  socket.on(SOCKET_EVENTS.GET_CHANNELS, async (payload, callback) => {
+    const options = payload || {};
     try {
-      const response = await makePhpRequest("get", "/user/channels", userToken);
-      if (response?.success) {
-        const channelsData = response.data || [];
-        // Join rooms etc.
-        channelsData.forEach((channel) => {
-          if (channel?.id) socket.join(`channel_${channel.id}`);
+      const { channelsData, unreadCounts, error } = await loadChannelList();
+      if (error) {
+        return callback({ success: false, error });
+      }
+
+      const isQuery = LIST_QUERY_FIELDS.some(
+        (field) => options[field] !== undefined
+      );
+      if (!isQuery) {
+        return callback({
+          success: true,
+          channels: channelsData,
+          sequences: await sequencesFor(channelsData),
+          unreadCounts,
         });
-        callback({ success: true, channels: channelsData });
-        // *** REMOVE the userOnline emit from here ***
-      } else {
-        callback({ success: false, error: response?.message || "Failed" });
       }
+
+      const page = queryChannels(channelsData, options, unreadCounts);
+      if (page.error) {
+        return callback({
+          success: false,
+          error: page.error,
+          code: "INVALID_INPUT",
+        });
+      }
+      callback({
+        success: true,
+        channels: page.channels,
+        nextCursor: page.nextCursor,
+        sequences: await sequencesFor(page.channels),
+        unreadCounts: countsFor(page.channels, unreadCounts),
+      });
     } catch (error) {
-      callback({ success: false, error: error.message });
+      callback({ success: false, error: error.message, code: error.code });
+    }
+  });
+
+  // Incremental channel list sync. The client sends the `syncedAt` of its last
+  // sync and gets the channels created or changed since, the ones it lost
+  // (`removed`: deleted, left or removed from) and a new `syncedAt`. When
+  // `since` is older than the tombstone retention, or the capped tombstone/join
+  // lists have dropped entries since then, the changes may be incomplete, so
+  // `fullResync: true` asks for a full getChannels instead.
+  socket.on(SOCKET_EVENTS.SYNC_CHANNELS, async ({ since }, callback) => {
+    const cb = (...args) => safeCallback(callback, ...args);
+    const syncedAt = Date.now();
+    if (syncedAt - since > config.channelTombstoneRetentionMs) {
+      return cb({ success: true, fullResync: true, syncedAt });
+    }
+
+    try {
+      const tombstones = await getTombstonesSince(userId, since);
+      const joined = await getChannelJoinsSince(userId, since);
+      if (!tombstones || !joined) {
+        return cb({ success: true, fullResync: true, syncedAt });
+      }
+
+      const { channelsData, unreadCounts, error } = await loadChannelList();
+      if (error) {
+        return cb({ success: false, error });
+      }
+
+      const changed = channelsChangedSince(channelsData, since, joined);
+      // A channel the user is back in is not removed
+      const currentIds = new Set(
+        channelsData.map((channel) => String(channel?.id))
+      );
+      const removed = tombstones.filter(
+        (tombstone) => !currentIds.has(String(tombstone.channelId))
+      );
+
+      cb({
+        success: true,
+        fullResync: false,
+        channels: changed,
+        removed,
+        sequences: await sequencesFor(changed),
+        unreadCounts: countsFor(changed, unreadCounts),
+        syncedAt,
+      });
+    } catch (error) {
+      console.error(`syncChannels Error for user ${userId}:`, error.message);
+      cb({ success: false, error: error.message, code: error.code });
+    }
+  });
+
+  // --- Missed-Event Replay (Reconnect) ---
+  // Client sends { channels: { [channelId]: lastSeenSeq } } after reconnecting and
+  // gets back, per channel, the missed events in order or `resync: true` when the
+  // gap has aged out of the buffer (refetch with getMessages).
+  socket.on(SOCKET_EVENTS.RESUME_CHANNELS, async ({ channels }, callback) => {
+    const cb = (...args) => safeCallback(callback, ...args);
+    if (!channels || typeof channels !== "object") {
+      return cb({ success: false, error: "Channels map required." });
+    }
+
+    try {
+      const results = {};
+      await Promise.all(
+        Object.entries(channels).map(async ([channelId, lastSeq]) => {
+          // Only replay rooms this socket is in (membership was checked when joining)
+          if (!(await isInChannelRoom(socket, channelId))) {
+            results[channelId] = { seq: null, events: [], resync: true };
+            return;
+          }
+          const parsedSeq = Number(lastSeq);
+          if (!Number.isInteger(parsedSeq) || parsedSeq < 0) {
+            results[channelId] = {
+              seq: await getCurrentSeq(channelId),
+              events: [],
+              resync: true,
+            };
+            return;
+          }
+          results[channelId] = await getEventsSince(channelId, parsedSeq);
+        })
+      );
+      cb({ success: true, channels: results });
+    } catch (error) {
+      console.error(`resumeChannels Error for user ${userId}:`, error.message);
+      cb({ success: false, error: error.message, code: error.code });
     }
   });
 
   // --- Message Handling ---
 
+  // Page mode ({ page, limit }) relays PHP's page as is. With a before/after/
+  // around message-ID cursor the window is stable while new messages arrive
+  // and comes back oldest first, with `cursors` for the next fetch each way.
   socket.on(
     "getMessages",
-    async ({ channelId, page = 1, limit = 20 }, callback) => {
-      if (!userToken) {
+    async (
+      { channelId, page = 1, limit = 20, before, after, around },
+      callback
+    ) => {
+      if (!socket.token) {
         console.error(`getMessages Error: Token missing for user ${userId}`);
         return callback({
           success: false,
@@ -148,19 +453,61 @@ const registerSocketHandlers = (io, socket) => {
 
       const phpPath = `/user/channels/${channelId}/messages?page=${page}&limit=${limit}`;
 
-      try {
-        // Make the request using the authenticated user's token
-        const response = await makePhpRequest("get", phpPath, userToken);
-
-        // Specifically log timestamps for a sample message if available
-        if (response?.data?.messages && response.data.messages.length > 0) {
-          const sampleMsg = response.data.messages[0];
+      if (before !== undefined || after !== undefined || around !== undefined) {
+        try {
+          const window = await fetchMessageWindow(
+            socket.token,
+            `/user/channels/${channelId}/messages`,
+            {
+              before,
+              after,
+              around,
+              limit,
+            }
+          );
+          if (window.error) {
+            console.error(`getMessages Error: ${window.error}`);
+            return callback({ success: false, error: window.error });
+          }
+          const seq = await getCurrentSeq(channelId);
+          const typingUsers = await getTypingUsers(channelId).catch(() => []);
+          return callback({
+            success: true,
+            ...window,
+            messagesData: withAggregatedReactions(window.messagesData),
+            seq,
+            typingUsers,
+          });
+        } catch (error) {
+          console.error(`getMessages PHP API Full Error:`, error.message);
+          return callback({
+            success: false,
+            error: error.message || "Failed to fetch messages",
+            code: error.code,
+          });
         }
-        // --- END RAW RESPONSE LOG ---
+      }
+
+      try {
+        // Make the request using the authenticated user's token. The latest
+        // page is what opening a channel asks for, so it is served from the
+        // hot cache while the channel is unchanged.
+        const response =
+          page === 1
+            ? await getLatestMessages(userId, socket.token, channelId, limit)
+            : await makePhpRequest("get", phpPath, socket.token);
 
         if (response.success && response.data) {
-          // Relay the exact data received from PHP
-          callback({ success: true, messagesData: response.data });
+          // Relay the exact data received from PHP, plus the channel's current event sequence
+          const seq = await getCurrentSeq(channelId);
+          // typingUsers: who is typing already when the channel is opened
+          const typingUsers = await getTypingUsers(channelId).catch(() => []);
+          callback({
+            success: true,
+            messagesData: withAggregatedReactions(response.data),
+            seq,
+            typingUsers,
+          });
         } else {
           console.error(
             `getMessages Error: PHP returned failure or no data - ${
@@ -173,164 +520,142 @@ const registerSocketHandlers = (io, socket) => {
           });
         }
       } catch (error) {
-        console.error(
-          `getMessages PHP API Error Status:`,
-          error.response?.status
-        );
-        console.error(
-          `getMessages PHP API Error Response Body:`,
-          error.response?.data
-        );
+        console.error(`getMessages PHP API Error Status:`, error.status);
         console.error(`getMessages PHP API Full Error:`, error.message);
         callback({
           success: false,
-          error:
-            error.response?.data?.message ||
-            error.message ||
-            "Failed to fetch messages",
+          error: error.message || "Failed to fetch messages",
+          code: error.code,
         });
       }
     }
   );
 
+  // Replies of a thread, oldest first; takes the same cursors as getMessages
   socket.on(
-    "sendMessage",
-    async ({ channelId, message, attachment_id }, callback) => {
+    SOCKET_EVENTS.GET_THREAD_MESSAGES,
+    async ({ limit = 50, ...query }, callback) => {
       try {
-        // Validate input
-        if (!channelId) {
-          return callback({ success: false, error: "Channel ID is required" });
-        }
-
-        // Check if at least one of message or attachment_id is provided
-        if (!message && !attachment_id) {
-          return callback({
-            success: false,
-            error: "Either message text or attachment is required",
-          });
-        }
-
-        // Use FormData because PHP expects it
-        const formData = new FormData();
-
-        // Only append message if it exists and is not empty
-        if (message && message.trim()) {
-          formData.append("message", message.trim());
-        }
-
-        // Only append attachment_id if it exists
-        if (attachment_id) {
-          formData.append("attachment_id", attachment_id);
-        }
-
-        // Need to use the raw axios client for FormData and pass headers
-        const response = await phpApiClient.post(
-          `/user/channels/${channelId}/messages`,
-          formData,
-          {
-            headers: {
-              ...formData.getHeaders(), // Important for boundary
-              Authorization: `Bearer ${userToken}`,
-            },
-          }
-        );
-
-        if (response.data && response.data.success) {
-          const newMessage = response.data.data; // Assuming PHP returns the created message
-          // Broadcast the new message to everyone in the channel room
-          io.to(`channel_${channelId}`).emit("newMessage", {
-            channelId,
-            message: newMessage,
-          });
-          callback({ success: true, message: newMessage }); // Confirm to sender
-        } else {
-          callback({
-            success: false,
-            error: response.data?.message || "Failed to send message",
-          });
+        const thread = await loadThread(socket.token, userId, {
+          ...query,
+          limit,
+        });
+        if (thread.error) {
+          return callback({ success: false, error: thread.error });
         }
+        callback({
+          success: true,
+          ...thread,
+          messagesData: withAggregatedReactions(thread.messagesData),
+        });
       } catch (error) {
         console.error(
-          `Error sending message for user ${userId} to channel ${channelId}:`,
-          error.response?.data || error.message
+          `getThreadMessages Error for user ${userId}:`,
+          error.message
         );
-        callback({
-          success: false,
-          error: error.response?.data?.message || error.message,
-        });
+        callback({ success: false, error: error.message, code: error.code });
       }
     }
   );
 
-  socket.on(
-    "editMessage",
-    async ({ channelId, messageId, message }, callback) => {
-      try {
-        const formData = new FormData();
-        formData.append("message", message);
-        formData.append("_method", "PUT"); // Method override for PHP
-
-        const response = await phpApiClient.post(
-          `/user/channels/${channelId}/messages/${messageId}`,
-          formData,
-          {
-            headers: {
-              ...formData.getHeaders(),
-              Authorization: `Bearer ${userToken}`,
-            },
-          }
-        );
+  socket.on("sendMessage", async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.sendMessage(actionContext(), payload)
+    );
+  });
 
-        if (response.data && response.data.success) {
-          const updatedMessage = response.data.data; // Assuming PHP returns the updated message
-          io.to(`channel_${channelId}`).emit("messageUpdated", {
-            channelId,
-            message: updatedMessage,
-          });
-          callback({ success: true, message: updatedMessage });
-        } else {
-          callback({
-            success: false,
-            error: response.data?.message || "Failed to edit message",
-          });
-        }
-      } catch (error) {
-        console.error(
-          `Error editing message ${messageId}:`,
-          error.response?.data || error.message
-        );
-        callback({
-          success: false,
-          error: error.response?.data?.message || error.message,
-        });
-      }
+  socket.on("editMessage", async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.editMessage(actionContext(), payload)
+    );
+  });
+
+  socket.on("deleteMessage", async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.deleteMessage(actionContext(), payload)
+    );
+  });
+
+  socket.on(SOCKET_EVENTS.ADD_REACTION, async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.addReaction(actionContext(), payload)
+    );
+  });
+
+  socket.on(SOCKET_EVENTS.REMOVE_REACTION, async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.removeReaction(actionContext(), payload)
+    );
+  });
+
+  socket.on(SOCKET_EVENTS.SEARCH_MESSAGES, async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.searchMessages(actionContext(), payload)
+    );
+  });
+
+  socket.on(SOCKET_EVENTS.PIN_MESSAGE, async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.pinMessage(actionContext(), payload)
+    );
+  });
+
+  socket.on(SOCKET_EVENTS.UNPIN_MESSAGE, async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.unpinMessage(actionContext(), payload)
+    );
+  });
+
+  socket.on(SOCKET_EVENTS.GET_PINNED_MESSAGES, async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.getPinnedMessages(actionContext(), payload)
+    );
+  });
+
+  // --- Scheduled messages (socket/scheduledMessages.js) ---
+
+  socket.on(SOCKET_EVENTS.SCHEDULE_MESSAGE, async (payload, callback) => {
+    safeCallback(
+      callback,
+      await scheduledMessages.scheduleMessage(actionContext(), payload)
+    );
+  });
+
+  socket.on(
+    SOCKET_EVENTS.LIST_SCHEDULED_MESSAGES,
+    async (payload, callback) => {
+      safeCallback(
+        callback,
+        await scheduledMessages.listScheduledMessages(actionContext())
+      );
     }
   );
 
-  socket.on("deleteMessage", async ({ channelId, messageId }, callback) => {
-    try {
-      const response = await makePhpRequest(
-        "delete",
-        `/user/channels/${channelId}/messages/${messageId}`,
-        userToken
+  socket.on(SOCKET_EVENTS.EDIT_SCHEDULED_MESSAGE, async (payload, callback) => {
+    safeCallback(
+      callback,
+      await scheduledMessages.editScheduledMessage(actionContext(), payload)
+    );
+  });
+
+  socket.on(
+    SOCKET_EVENTS.CANCEL_SCHEDULED_MESSAGE,
+    async (payload, callback) => {
+      safeCallback(
+        callback,
+        await scheduledMessages.cancelScheduledMessage(actionContext(), payload)
       );
-      if (response.success) {
-        io.to(`channel_${channelId}`).emit("messageDeleted", {
-          channelId,
-          messageId,
-        });
-        callback({ success: true });
-      } else {
-        callback({
-          success: false,
-          error: response.message || "Failed to delete message",
-        });
-      }
-    } catch (error) {
-      console.error(`Error deleting message ${messageId}:`, error.message);
-      callback({ success: false, error: error.message });
     }
-  });
+  );
 
   // socket.on("markMessageRead", async ({ channelId, messageId }, callback) => {
   //   try {
@@ -410,16 +735,18 @@ const registerSocketHandlers = (io, socket) => {
       const response = await makePhpRequest(
         "put",
         `/user/channels/${channelId}/clear-chat`,
-        userToken,
+        socket.token,
         { message_ids: [] }
       ); // Sending empty array
 
       if (response.success) {
-        // Notify ONLY the user who cleared it across their devices/sockets
-        // Requires user-specific rooms or tracking multiple socket IDs per user
-        // Simplification: Emit back to the specific socket connection for now.
-        // A better approach involves user rooms: io.to(`user_${userId}`).emit(...)
-        socket.emit("chatCleared", { channelId });
+        // Notify ONLY the user who cleared it, on all of their devices
+        await invalidateUser(userId).catch((error) => {
+          console.error(
+            `Failed to invalidate cache of user ${userId}: ${error.message}`
+          );
+        });
+        await emitToUser(io, userId, "chatCleared", { channelId });
         callback({ success: true });
         // TODO: Maybe fetch and push the *new* latest message for the channel preview update?
       } else {
@@ -433,7 +760,7 @@ const registerSocketHandlers = (io, socket) => {
         `Error clearing chat ${channelId} for user ${userId}:`,
         error.message
       );
-      callback({ success: false, error: error.message });
+      callback({ success: false, error: error.message, code: error.code });
     }
   });
 
@@ -447,16 +774,14 @@ const registerSocketHandlers = (io, socket) => {
       const response = await makePhpRequest(
         "delete",
         `/user/channels/${channelId}`,
-        userToken
+        socket.token
       );
 
-      console.log(response, "response");
-
       if (response.success) {
         // Notify everyone who was part of that channel
-        io.to(`channel_${channelId}`).emit("channelDeleted", { channelId });
-        // Force clients out of the Socket.IO room
-        io.socketsLeave(`channel_${channelId}`);
+        await emitToChannel(io, channelId, "channelDeleted", { channelId });
+        // Force clients out of the Socket.IO room (and the membership cache)
+        await closeChannel(io, channelId);
         callback({ success: true });
       } else {
         callback({
@@ -469,207 +794,188 @@ const registerSocketHandlers = (io, socket) => {
         `Error deleting channel ${channelId} by user ${userId}:`,
         error.message
       );
-      callback({ success: false, error: error.message });
+      callback({ success: false, error: error.message, code: error.code });
     }
   });
 
-  socket.on(
-    "createChannel",
-    async (
-      { userIds, is_group, name = null, description = null, attachment_id },
-      callback
-    ) => {
-      const userId = socket.userData.id;
-      const userToken = socket.token;
+  socket.on("createChannel", async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.createChannel(actionContext(), payload)
+    );
+  });
 
-      if (!userIds || !Array.isArray(userIds) || userIds.length === 0) {
-        return callback({
-          success: false,
-          error: "Valid user IDs array required",
-        });
-      }
-      // For 1-on-1 chat creation triggered from member list, ensure only one other ID is passed
-      if (is_group === 0 && userIds.length !== 1) {
-        return callback({
-          success: false,
-          error: "Exactly one user ID required for 1-on-1 chat creation.",
-        });
+  // --- Drafts (shared by all of the user's devices) ---
+  socket.on(
+    SOCKET_EVENTS.UPDATE_DRAFT,
+    async ({ channelId, text }, callback) => {
+      try {
+        const draft = await setDraft(userId, channelId, text);
+        emitToOtherDevices(socket, userId, SOCKET_EVENTS.DRAFT_UPDATED, draft);
+        callback({ success: true, draft });
+      } catch (error) {
+        console.error(`${baseLogPrefix} updateDraft failed: ${error.message}`);
+        callback({ success: false, error: "Failed to save draft." });
       }
+    }
+  );
 
-      try {
-        // PHP expects FormData for channel creation based on your initial spec
-        const formData = new FormData();
-        formData.append("is_group", is_group); // 0 for 1-on-1, 1 for group
-        // Add the current user ID implicitly on the backend or pass it if needed
-        // formData.append('creator_id', userId); // If PHP needs it explicitly
-
-        // PHP expects user_ids[] format in FormData
-        userIds.forEach((id) => formData.append("user_ids[]", id));
-
-        if (is_group === 1 && name) {
-          // Required for groups
-          formData.append("name", name);
-        }
-        if (description) {
-          formData.append("description", description);
-        }
-        // Handle attachment_id if needed for group creation (requires file upload logic first)
-        if (attachment_id) {
-          formData.append("attachment_id", attachment_id);
-        }
+  socket.on(SOCKET_EVENTS.GET_DRAFTS, async (payload, callback) => {
+    try {
+      callback({ success: true, drafts: await getDrafts(userId) });
+    } catch (error) {
+      console.error(`${baseLogPrefix} getDrafts failed: ${error.message}`);
+      callback({ success: false, error: "Failed to load drafts." });
+    }
+  });
 
-        const phpUrl = "/user/channels";
+  // --- Presence ---
+  socket.on(SOCKET_EVENTS.GET_PRESENCE, async ({ userIds }, callback) => {
+    try {
+      callback({ success: true, presence: await getPresenceSnapshot(userIds) });
+    } catch (error) {
+      console.error(`${baseLogPrefix} getPresence failed: ${error.message}`);
+      callback({ success: false, error: "Failed to load presence." });
+    }
+  });
 
-        // Use the raw axios client for FormData
-        const response = await phpApiClient.post(phpUrl, formData, {
-          headers: {
-            ...formData.getHeaders(), // Get boundary header from FormData
-            Authorization: `Bearer ${userToken}`,
-            "x-api-key": config.phpApiKey, // Ensure API key is included if added to client defaults
-          },
-        });
+  // Activity heartbeat: clients send it on user interaction (or `idle: true`
+  // when the app goes to the background). No heartbeat for a while = away.
+  socket.on(SOCKET_EVENTS.PRESENCE_HEARTBEAT, ({ idle = false }) => {
+    markSocketActivity(io, socket, userId, idle).catch((error) => {
+      console.error(
+        `${baseLogPrefix} Presence heartbeat failed: ${error.message}`
+      );
+    });
+  });
 
-        // PHP might return success even if channel exists, giving back the existing channel data
-        if (response.data && response.data.success) {
-          const channelData = response.data.data; // Assuming PHP returns the channel data
-
-          // Make the creating user join the Socket.IO room for the new channel
-          socket.join(`channel_${channelData.id}`);
-
-          // Notify the *other* participants (if they are online) that a new channel was created
-          userIds.forEach((otherUserId) => {
-            // Find socket ID(s) for otherUserId (requires tracking connectedUsers: Map<userId, socketId>)
-            // This simple map assumes one socket per user
-            const otherSocketId = connectedUsers.get(otherUserId); // 'connectedUsers' map from previous steps
-            if (otherSocketId) {
-              io.to(otherSocketId).emit("newChannelCreated", { channelData });
-              // Also make the other user's socket join the room server-side
-              const otherSocket = io.sockets.sockets.get(otherSocketId);
-              if (otherSocket) {
-                otherSocket.join(`channel_${channelData.id}`);
-              }
-            }
-          });
+  // Manual mode (auto/dnd/invisible) and custom status
+  socket.on(SOCKET_EVENTS.SET_PRESENCE, async (payload, callback) => {
+    if (
+      payload.statusExpiresAt !== undefined &&
+      payload.statusExpiresAt !== null &&
+      payload.statusExpiresAt <= Date.now()
+    ) {
+      return callback({
+        success: false,
+        error: "statusExpiresAt must be in the future",
+        code: "INVALID_INPUT",
+      });
+    }
+    try {
+      callback({
+        success: true,
+        presence: await setPresence(io, socket, userId, payload),
+      });
+    } catch (error) {
+      console.error(`${baseLogPrefix} setPresence failed: ${error.message}`);
+      callback({ success: false, error: "Failed to update presence." });
+    }
+  });
 
-          // Send the channel data back to the creator
-          callback({ success: true, channel: channelData });
-        } else {
-          console.error(
-            `createChannel Error: PHP returned failure - ${
-              response.data?.message || "No message"
-            }`
-          );
-          callback({
-            success: false,
-            error: response.data?.message || "Failed to create channel via PHP",
-          });
-        }
-      } catch (error) {
-        console.error(
-          `createChannel PHP API Error Status:`,
-          error.response?.status
-        );
-        console.error(
-          `createChannel PHP API Error Response Body:`,
-          error.response?.data
-        );
-        console.error(`createChannel PHP API Full Error:`, error.message);
-        callback({
-          success: false,
-          error:
-            error.response?.data?.message ||
-            error.message ||
-            "Failed to create channel",
-        });
-      }
+  // Follow users outside your channels and contacts; replies with their current presence
+  socket.on(SOCKET_EVENTS.SUBSCRIBE_PRESENCE, async ({ userIds }, callback) => {
+    if (!subscribePresence(socket, userIds)) {
+      return callback({
+        success: false,
+        error: "Too many presence subscriptions.",
+        code: "LIMIT_EXCEEDED",
+      });
     }
-  );
+    try {
+      callback({ success: true, presence: await getPresenceSnapshot(userIds) });
+    } catch (error) {
+      console.error(
+        `${baseLogPrefix} subscribePresence snapshot failed: ${error.message}`
+      );
+      callback({ success: true, presence: [] });
+    }
+  });
+
+  socket.on(SOCKET_EVENTS.UNSUBSCRIBE_PRESENCE, ({ userIds }, callback) => {
+    unsubscribePresence(socket, userIds);
+    callback({ success: true });
+  });
 
   // --- Typing Indicator Handlers ---
 
-  socket.on(SOCKET_EVENTS.START_TYPING, ({ channelId }) => {
-    if (!channelId) return;
-    socket.to(`channel_${channelId}`).emit(SOCKET_EVENTS.USER_TYPING, {
-      channelId,
-      userId,
-      userName, // Send name for display
+  // Typing state is tracked server-side (socket/typing.js): it expires on its own
+  // and repeated startTyping events are not all relayed
+  socket.on(SOCKET_EVENTS.START_TYPING, async ({ channelId }) => {
+    if (!(await isInChannelRoom(socket, channelId))) return;
+    startTyping(io, socket, { userId, userName }, channelId).catch((error) => {
+      console.error(`${baseLogPrefix} startTyping failed: ${error.message}`);
     });
   });
 
   socket.on(SOCKET_EVENTS.STOP_TYPING, ({ channelId }) => {
-    if (!channelId) return;
-    socket.to(`channel_${channelId}`).emit(SOCKET_EVENTS.USER_STOPPED_TYPING, {
-      channelId,
-      userId,
+    stopTyping(io, socket, userId, channelId).catch((error) => {
+      console.error(`${baseLogPrefix} stopTyping failed: ${error.message}`);
     });
   });
 
-  socket.on(
-    SOCKET_EVENTS.MESSAGE_DELIVERED_ACK,
-    async ({ channelId, messageId }) => {
-      if (!channelId || !messageId) return;
-      const recipientUserId = socket.userData.id;
-      const recipientToken = socket.token;
-
-      if (!recipientToken) {
-        /* handle error */ return;
-      }
-      try {
-        const phpPath = `/user/channels/${channelId}/messages/${messageId}/mark-delivered-at`;
-        const response = await makePhpRequest("put", phpPath, recipientToken);
+  // Who is typing right now, for a client opening a channel mid-conversation
+  socket.on(SOCKET_EVENTS.GET_TYPING_USERS, async ({ channelId }, callback) => {
+    if (!(await isInChannelRoom(socket, channelId))) {
+      return callback({
+        success: false,
+        error: "You are not a member of this channel.",
+      });
+    }
+    try {
+      callback({
+        success: true,
+        channelId,
+        typingUsers: await getTypingUsers(channelId),
+      });
+    } catch (error) {
+      console.error(`${baseLogPrefix} getTypingUsers failed: ${error.message}`);
+      callback({ success: false, error: "Failed to load typing users." });
+    }
+  });
 
-        if (response.success) {
-          const deliveredAt = new Date().toISOString(); // <<< USE NODE'S TIME
+  // Per-message receipts are batched (socket/receiptBatcher.js): one PHP call and
+  // one messageStatusUpdate per user, channel and type every short window
+  socket.on(SOCKET_EVENTS.MESSAGE_DELIVERED_ACK, ({ channelId, messageId }) => {
+    if (!socket.token) return;
+    queueReceipt(io, {
+      userId,
+      token: socket.token,
+      channelId,
+      messageId,
+      type: "delivered",
+    });
+  });
 
-          io.to(`channel_${channelId}`).emit(
-            SOCKET_EVENTS.MESSAGE_STATUS_UPDATE,
-            {
-              channelId,
-              updates: [{ messageId, delivered_at: deliveredAt }], // Broadcast standard update
-            }
-          );
-        } else {
-          console.warn(
-            `[Socket ${socket.id}] PHP failed marking msg ${messageId} delivered: ${response.message}`
-          );
-        }
-      } catch (error) {
-        /* handle error */
-      }
-    }
-  );
+  socket.on(SOCKET_EVENTS.MARK_MESSAGE_READ, ({ channelId, messageId }) => {
+    if (!socket.token) return;
+    queueReceipt(io, {
+      userId,
+      token: socket.token,
+      channelId,
+      messageId,
+      type: "read",
+    });
+  });
 
-  // --- Single Message Read ACK Handler (Future Use) ---
+  // "Seen by" details for one message: who it was delivered to / read by, and when
   socket.on(
-    SOCKET_EVENTS.MARK_MESSAGE_READ,
-    async ({ channelId, messageId }) => {
-      if (!channelId || !messageId) return;
-      const readerUserId = socket.userData.id;
-      const readerToken = socket.token;
-
-      if (!readerToken) {
-        return;
+    SOCKET_EVENTS.GET_MESSAGE_RECEIPTS,
+    async ({ channelId, messageId }, callback) => {
+      if (!(await isInChannelRoom(socket, channelId))) {
+        return callback({
+          success: false,
+          error: "You are not a member of this channel.",
+        });
       }
       try {
-        const phpPath = `/user/channels/${channelId}/messages/${messageId}/mark-as-read`;
-        const response = await makePhpRequest("put", phpPath, readerToken);
-
-        if (response.success) {
-          const readAt = new Date().toISOString();
-          io.to(`channel_${channelId}`).emit(
-            SOCKET_EVENTS.MESSAGE_STATUS_UPDATE,
-            {
-              channelId,
-              updates: [{ messageId, read_at: readAt }], // Broadcast standard update
-            }
-          );
-        } else {
-          console.warn(
-            `[Socket ${socket.id}] PHP failed marking msg ${messageId} read: ${response.message}`
-          );
-        }
+        const receipts = await getMessageReceipts(channelId, messageId);
+        callback({ success: true, channelId, messageId, ...receipts });
       } catch (error) {
-        /* handle error */
+        console.error(
+          `[Socket ${socket.id}] getMessageReceipts failed for msg ${messageId}: ${error.message}`
+        );
+        callback({ success: false, error: "Failed to load receipts." });
       }
     }
   );
@@ -683,17 +989,11 @@ const registerSocketHandlers = (io, socket) => {
       const logPrefix = `[Socket ${socketId}][${SOCKET_EVENTS.MARK_CHANNEL_DELIVERED}][Chan ${channelId}]`;
 
       // --- Argument Validation ---
-      if (typeof callback !== "function") {
-        console.error(
-          `${logPrefix} CRITICAL ERROR: Callback is not a function!`
-        );
-        return;
-      }
       if (!channelId) {
         console.warn(`${logPrefix} Missing channelId. Sending error callback.`);
         return callback({ success: false, error: "Channel ID required" });
       }
-      if (!userToken) {
+      if (!socket.token) {
         console.error(
           `${logPrefix} Missing userToken. Sending error callback.`
         );
@@ -702,7 +1002,7 @@ const registerSocketHandlers = (io, socket) => {
       // --- End Argument Validation ---
 
       const recipientUserId = userId;
-      const recipientToken = userToken;
+      const recipientToken = socket.token;
 
       // ***** Wrap EVERYTHING in a top-level try...catch *****
       try {
@@ -721,6 +1021,7 @@ const registerSocketHandlers = (io, socket) => {
           return callback({
             success: false,
             error: `Failed to contact server: ${phpError.message}`,
+            code: phpError.code,
           });
         }
 
@@ -733,6 +1034,12 @@ const registerSocketHandlers = (io, socket) => {
             channelId,
             delivered_at: deliveredAt,
             actorUserId: actorUserId,
+            receipts: await channelMarkDeltas(
+              channelId,
+              actorUserId,
+              "delivered",
+              deliveredAt
+            ),
           };
           try {
             const jsonBroadcastData = JSON.stringify(
@@ -740,7 +1047,9 @@ const registerSocketHandlers = (io, socket) => {
               safeStringify
             );
 
-            io.to(`channel_${channelId}`).emit(
+            await emitToChannel(
+              io,
+              channelId,
               SOCKET_EVENTS.CHANNEL_BULK_DELIVERED_UPDATE,
               broadcastData
             );
@@ -835,9 +1144,17 @@ const registerSocketHandlers = (io, socket) => {
 
         if (response.success) {
           const readAt = new Date().toISOString(); // <<< USE NODE'S TIME
+          const receipts = await channelMarkDeltas(
+            channelId,
+            readerUserId,
+            "read",
+            readAt
+          );
 
           // 1. Notify client about general read status (for unread count)
-          io.to(`channel_${channelId}`).emit(
+          await emitToChannel(
+            io,
+            channelId,
             SOCKET_EVENTS.CHANNEL_READ_UPDATE,
             {
               channelId,
@@ -847,14 +1164,30 @@ const registerSocketHandlers = (io, socket) => {
           );
 
           // 2. *** Broadcast BULK event ***
-          io.to(`channel_${channelId}`).emit(
+          await emitToChannel(
+            io,
+            channelId,
             SOCKET_EVENTS.CHANNEL_BULK_READ_UPDATE,
             {
               channelId,
               read_at: readAt,
               actorUserId: readerUserId, // ID of the user whose action triggered this
+              receipts, // Per-user watermark deltas for "seen by" lists
             }
           );
+
+          countChannelRead(io, readerUserId, channelId).catch((error) => {
+            console.error(
+              `[Socket ${socket.id}] Failed to reset unread counters: ${error.message}`
+            );
+          });
+
+          // 3. Sync to the reader's other devices, even those that have not
+          // joined the channel room yet
+          emitToOtherDevices(socket, userId, SOCKET_EVENTS.CHANNEL_READ_SYNC, {
+            channelId,
+            readAt,
+          });
           callback({ success: true });
         } else {
           console.warn(
@@ -866,7 +1199,11 @@ const registerSocketHandlers = (io, socket) => {
           });
         }
       } catch (error) {
-        /* handle error */ callback({ success: false, error: error.message });
+        /* handle error */ callback({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
       }
     }
   );
@@ -875,11 +1212,9 @@ const registerSocketHandlers = (io, socket) => {
     const socketId = socket.id;
     const logPrefix = `[Socket ${socketId}][leaveGroup][Chan ${channelId}]`;
 
-    if (typeof callback !== "function")
-      return console.error(`${logPrefix} Callback is not a function!`);
     if (!channelId)
       return callback({ success: false, error: "Channel ID required" });
-    if (!userToken)
+    if (!socket.token)
       return callback({ success: false, error: "Auth token missing." });
 
     try {
@@ -891,7 +1226,7 @@ const registerSocketHandlers = (io, socket) => {
       let phpResponse;
       try {
         // Assuming DELETE method for leaving
-        phpResponse = await makePhpRequest("put", phpPath, userToken);
+        phpResponse = await makePhpRequest("put", phpPath, socket.token);
       } catch (phpError) {
         console.error(
           `${logPrefix} !!! EXCEPTION during PHP call: ${phpError.message}`
@@ -899,12 +1234,18 @@ const registerSocketHandlers = (io, socket) => {
         return callback({
           success: false,
           error: `Failed to contact server: ${phpError.message}`,
+          code: phpError.code,
         });
       }
 
       if (phpResponse?.success) {
-        // 1. Force the leaving user's socket out of the room
-        socket.leave(`channel_${channelId}`);
+        // 1. Force all of the leaving user's sockets out of the room
+        await removeUserFromChannel(io, userId, channelId);
+        deleteDraft(userId, channelId).catch((error) => {
+          console.error(
+            `${logPrefix} Failed to delete draft: ${error.message}`
+          );
+        });
 
         // 2. Notify remaining members in the room
         const leaveUpdateData = {
@@ -916,9 +1257,9 @@ const registerSocketHandlers = (io, socket) => {
           // updatedChannelData: phpResponse.data // If PHP returns it
         };
         // Emit an event specifically for user leaving
-        socket
-          .to(`channel_${channelId}`)
-          .emit("userLeftGroup", leaveUpdateData);
+        await emitToChannel(io, channelId, "userLeftGroup", leaveUpdateData, {
+          exceptSocketId: socket.id,
+        });
         // OR emit a generic channel update if PHP returns full updated channel data
         // if (leaveUpdateData.updatedChannelData) {
         //    io.to(`channel_${channelId}`).emit("channelUpdated", { channelData: leaveUpdateData.updatedChannelData });
@@ -927,9 +1268,9 @@ const registerSocketHandlers = (io, socket) => {
         // 3. Send success callback to the leaving user
         callback({ success: true });
 
-        // 4. Tell the leaving user's client to remove the channel (alternative to relying on leave room)
+        // 4. Tell the leaving user's devices to remove the channel (alternative to relying on leave room)
         // This ensures removal even if other events are missed.
-        socket.emit("channelDeleted", { channelId });
+        await emitToUser(io, userId, "channelDeleted", { channelId });
       } else {
         const errorMsg =
           phpResponse?.message || "PHP request indicated failure";
@@ -948,367 +1289,89 @@ const registerSocketHandlers = (io, socket) => {
     }
   });
 
-  socket.on(
-    "updateChannelInfo",
-    async ({ channelId, name, description, attachment_id }, callback) => {
-      const socketId = socket.id;
-      const logPrefix = `[Socket ${socketId}][updateChannelInfo][Chan ${channelId}]`;
-
-      if (typeof callback !== "function")
-        return console.error(`${logPrefix} Callback is not a function!`);
-      if (!channelId)
-        return callback({ success: false, error: "Channel ID required" });
-      if (!userToken)
-        return callback({ success: false, error: "Auth token missing." });
-      // Basic validation: At least one field must be intended for update, though PHP will handle specifics.
-      if (
-        name === undefined &&
-        description === undefined &&
-        attachment_id === undefined
-      ) {
-        return callback({ success: false, error: "No update data provided." });
-      }
-
-      try {
-        // PHP endpoint: PUT /user/channels/:channelId
-        // We need to send FormData because attachment_id might be involved,
-        // and PHP likely expects form data for PUT/POST with potential file IDs.
-        const formData = new FormData();
-        formData.append("_method", "PUT"); // Method override for PHP frameworks
-
-        // Append fields *only if they are provided* in the request
-        // Check for `null` explicitly if you want to allow clearing fields.
-        // Check for `undefined` to only send fields the client intended to update.
-        if (name !== undefined) {
-          formData.append("name", name || ""); // Send empty string if null/undefined to potentially clear
-        }
-        if (description !== undefined) {
-          // Send empty string or a special value if PHP expects it to clear the description
-          formData.append("description", description || "");
-        }
-        if (attachment_id !== undefined) {
-          // Send the ID, or potentially '0' or an empty string if PHP expects that to clear the image
-          formData.append(
-            "attachment_id",
-            attachment_id ? attachment_id.toString() : ""
-          );
-        }
-
-        const phpPath = `/user/channels/${channelId}`;
+  socket.on("updateChannelInfo", async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.updateChannelInfo(actionContext(), payload)
+    );
+  });
 
-        // Use raw axios client for FormData
-        const response = await phpApiClient.post(phpPath, formData, {
-          // POST with _method=PUT
-          headers: {
-            ...formData.getHeaders(),
-            Authorization: `Bearer ${userToken}`,
-            "x-api-key": config.phpApiKey || "",
-          },
-        });
+  socket.on("addMembersToGroup", async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.addMembersToGroup(actionContext(), payload)
+    );
+  });
 
-        if (response.data && response.data.success) {
-          const updatedChannelData = response.data.data; // Assuming PHP returns the full updated channel
+  socket.on("removeMembersFromGroup", async (payload, callback) => {
+    safeCallback(
+      callback,
+      await chatActions.removeMembersFromGroup(actionContext(), payload)
+    );
+  });
 
-          // Broadcast the update to all members of the channel room
-          io.to(`channel_${channelId}`).emit("channelUpdated", {
-            channelId: channelId,
-            channelData: updatedChannelData,
-          });
+  // --- Disconnect ---
+  // --- Disconnect Handler (Revised for Online Status) ---
+  socket.on("disconnect", async (reason) => {
+    // Do not sit on this user's buffered receipts once a device goes away
+    flushUserReceipts(userId);
 
-          callback({ success: true, channel: updatedChannelData }); // Confirm success to the sender
-        } else {
-          console.warn(
-            `${logPrefix} PHP update failed: ${response.data?.message}`
-          );
-          callback({
-            success: false,
-            error: response.data?.message || "Failed to update group info",
-          });
-        }
-      } catch (error) {
-        console.error(
-          `${logPrefix} !!! EXCEPTION during PHP call: ${error.message}`
-        );
-        console.error(`${logPrefix} PHP Error Status:`, error.response?.status);
-        console.error(`${logPrefix} PHP Error Response:`, error.response?.data);
-        callback({
-          success: false,
-          error: error.response?.data?.message || "Failed to update group info",
-        });
-      }
+    let remainingSockets;
+    try {
+      remainingSockets = await releasePresenceSocket(socket, userId);
+    } catch (error) {
+      console.error(
+        `Failed to unregister socket ${socket.id} for user ${userId}: ${error.message}`
+      );
     }
-  );
 
-  socket.on(
-    "addMembersToGroup",
-    async ({ channelId, userIdsToAdd }, callback) => {
-      const socketId = socket.id;
-      const logPrefix = `[Socket ${socketId}][addMembers][Chan ${channelId}]`;
-      const cb = (...args) => safeCallback(callback, ...args); // Use safe callback wrapper
-      if (!channelId)
-        return cb({ success: false, error: "Channel ID required." });
-      if (!Array.isArray(userIdsToAdd) || userIdsToAdd.length === 0)
-        return cb({ success: false, error: "User IDs required." });
-
-      try {
-        const phpPath = `/user/channels/${channelId}/add-users`;
-        const payload = { user_ids: userIdsToAdd };
-        const phpAddResponse = await makePhpRequest(
-          "post",
-          phpPath,
-          userToken,
-          payload,
-          { "Content-Type": "application/json" }
-        );
-
-        if (phpAddResponse?.success) {
-          // --- Fetch latest channel data AFTER adding ---
-          let updatedChannelData;
-          try {
-            const phpGetResponse = await makePhpRequest(
-              "get",
-              `/user/channels/${channelId}`,
-              userToken
-            );
-            if (phpGetResponse?.success && phpGetResponse?.data) {
-              updatedChannelData = phpGetResponse.data;
-            } else {
-              throw new Error(
-                "Failed to fetch updated channel data after adding members."
+    // null: the entry was already gone, so this call owns no online/offline transition
+    if (typeof remainingSockets === "number") {
+      // If this was the LAST socket in the cluster, update PHP status to offline
+      if (remainingSockets === 0) {
+        updatePhpOnlineStatus(socket.token, false) // Use the token from the disconnecting socket
+          .then(
+            // Extract lastSeen from PHP response if available, otherwise use Node time
+            (phpResponse) =>
+              phpResponse?.data?.last_seen_at || new Date().toISOString(),
+            (error) => {
+              console.error(
+                `Failed to update PHP status to offline for ${userId}: ${error.message}`
               );
+              // Broadcast userOffline optimistically with Node time as fallback
+              return new Date().toISOString();
             }
-          } catch (fetchError) {
-            console.error(
-              `${logPrefix} addMembers EXCEPTION fetching updated data (Chan ${channelId}):`,
-              fetchError.message
-            );
-            // Proceed without broadcasting updated data? Or return error? Let's return error for consistency.
-            return cb({
-              success: false,
-              error: "Members added, but failed to refresh channel data.",
-            });
-          }
-          // --- End Fetch ---
-
-          if (!updatedChannelData || !updatedChannelData.id)
-            throw new Error("Invalid updated channel data fetched.");
-
-          const newMemberIds = new Set(userIdsToAdd);
-
-          // Notify and join new ONLINE members
-          updatedChannelData.users?.forEach((user) => {
-            if (newMemberIds.has(user.id)) {
-              const userSocketsSet = connectedUsers.get(user.id);
-              if (userSocketsSet?.size > 0) {
-                userSocketsSet.forEach((targetSocketId) => {
-                  const targetSocket = io.sockets.sockets.get(targetSocketId);
-                  if (targetSocket) {
-                    targetSocket.join(`channel_${channelId}`);
-                    targetSocket.emit("channelUpdated", {
-                      channelId,
-                      channelData: updatedChannelData,
-                    });
-                  }
-                });
-              }
-            }
-          });
-
-          // Broadcast the FULL update to ALL members in the room
-          io.to(`channel_${channelId}`).emit("channelUpdated", {
-            channelId,
-            channelData: updatedChannelData,
-          });
-
-          // Send success callback to the requester (with updated data is fine here if needed by AddParticipantsView)
-          cb({ success: true, channel: updatedChannelData });
-        } else {
-          console.warn(
-            `${logPrefix} addMembers PHP Error (Chan ${channelId}): ${phpAddResponse?.message}`
-          );
-          cb({
-            success: false,
-            error: phpAddResponse?.message || "Failed to add members.",
-          });
-        }
-      } catch (error) {
-        console.error(
-          `${logPrefix} addMembers EXCEPTION (Chan ${channelId}):`,
-          error.response?.data || error.message
-        );
-        cb({
-          success: false,
-          error:
-            error.response?.data?.message ||
-            error.message ||
-            "Could not add members.",
-        });
-      }
-    }
-  );
-
-  socket.on(
-    "removeMembersFromGroup",
-    async ({ channelId, userIdsToRemove }, callback) => {
-      const socketId = socket.id;
-      const logPrefix = `[Socket ${socketId}][removeMembers][Chan ${channelId}]`;
-      const cb = (...args) => safeCallback(callback, ...args);
-      if (!channelId)
-        return cb({ success: false, error: "Channel ID required." });
-      if (!Array.isArray(userIdsToRemove) || userIdsToRemove.length === 0)
-        return cb({ success: false, error: "User IDs required." });
-      if (userIdsToRemove.includes(userId))
-        return cb({ success: false, error: "Cannot remove yourself." });
-
-      try {
-        const phpPath = `/user/channels/${channelId}/remove-users`;
-        const payload = { user_ids: userIdsToRemove };
-        const phpRemoveResponse = await makePhpRequest(
-          "post",
-          phpPath,
-          userToken,
-          payload,
-          { "Content-Type": "application/json" }
-        ); // Or appropriate method
-
-        if (phpRemoveResponse?.success) {
-          // --- Notify removed ONLINE users and make them leave ---
-          userIdsToRemove.forEach((removedUserId) => {
-            const userSocketsSet = connectedUsers.get(removedUserId);
-            if (userSocketsSet?.size > 0) {
-              userSocketsSet.forEach((targetSocketId) => {
-                const targetSocket = io.sockets.sockets.get(targetSocketId);
-                if (targetSocket) {
-                  targetSocket.emit("removedFromGroup", {
-                    channelId,
-                    message: `You were removed from the group.`,
-                  });
-                  targetSocket.leave(`channel_${channelId}`);
-                }
+          )
+          .then(async (lastSeen) => {
+            await presenceRegistry.setLastSeen(userId, lastSeen);
+            if (!(await isInvisible(userId))) {
+              await announcePresence(io, userId, socket.token, "userOffline", {
+                userId,
+                lastSeen,
               });
             }
-          });
-          // --- End Notify Removed ---
-
-          // --- Fetch latest channel data AFTER removing ---
-          let updatedChannelData;
-          try {
-            const phpGetResponse = await makePhpRequest(
-              "get",
-              `/user/channels/${channelId}`,
-              userToken
-            );
-            if (phpGetResponse?.success && phpGetResponse?.data) {
-              updatedChannelData = phpGetResponse.data;
-            } else {
-              // If fetching updated data fails, maybe the group is now empty or deleted?
-              // Or maybe just an API error. We should still inform the requester of success,
-              // but might not be able to broadcast the update reliably.
-              console.warn(
-                `${logPrefix} removeMembers: Failed to fetch updated channel data after removal (Chan ${channelId}). Group might be empty or API error.`
-              );
-              // Let's still send success back, but can't broadcast update. Client state might become slightly stale.
-              return cb({ success: true }); // Indicate removal success even if fetch failed
-            }
-          } catch (fetchError) {
-            console.error(
-              `${logPrefix} removeMembers EXCEPTION fetching updated data (Chan ${channelId}):`,
-              fetchError.message
-            );
-            // As above, return success but log the fetch error.
-            return cb({ success: true });
-          }
-          // --- End Fetch ---
-
-          // --- Broadcast 'channelUpdated' to REMAINING members ---
-          // Ensure updatedChannelData exists before broadcasting
-          if (updatedChannelData && updatedChannelData.id) {
-            // Emit to the room (only remaining members are in it now)
-            io.to(`channel_${channelId}`).emit("channelUpdated", {
-              channelId,
-              channelData: updatedChannelData,
-            });
-          } else {
-            console.warn(
-              `${logPrefix} removeMembers: Skipping broadcast as updatedChannelData is missing/invalid.`
-            );
-          }
-
-          // Send success callback to the original requester
-          // No channel data needed here, update comes via broadcast.
-          cb({ success: true });
-        } else {
-          console.warn(
-            `${logPrefix} removeMembers PHP Error (Chan ${channelId}): ${phpRemoveResponse?.message}`
-          );
-          cb({
-            success: false,
-            error: phpRemoveResponse?.message || "Failed to remove members.",
-          });
-        }
-      } catch (error) {
-        console.error(
-          `${logPrefix} removeMembers EXCEPTION (Chan ${channelId}):`,
-          error.response?.data || error.message
-        );
-        cb({
-          success: false,
-          error:
-            error.response?.data?.message ||
-            error.message ||
-            "Could not remove members.",
-        });
-      }
-    }
-  );
-
-  // --- Disconnect ---
-  // --- Disconnect Handler (Revised for Online Status) ---
-  socket.on("disconnect", (reason) => {
-    if (connectedUsers.has(userId)) {
-      const userSockets = connectedUsers.get(userId);
-      userSockets.delete(socket.id);
-
-      // If this was the LAST socket, update PHP status to offline
-      if (userSockets.size === 0) {
-        connectedUsers.delete(userId); // Remove user entry
-
-        updatePhpOnlineStatus(userToken, false) // Use the token from the disconnecting socket
-          .then((phpResponse) => {
-            // Extract lastSeen from PHP response if available, otherwise use Node time
-            const lastSeen =
-              phpResponse?.data?.last_seen_at || new Date().toISOString();
-
-            io.emit("userOffline", { userId, lastSeen }); // Broadcast with timestamp
+            await publishPresenceSafely(io, userId, socket.token);
           })
           .catch((error) => {
             console.error(
-              `Failed to update PHP status to offline for ${userId}: ${error.message}`
+              `Failed to announce ${userId} offline: ${error.message}`
             );
-            // Broadcast userOffline optimistically with Node time as fallback
-            const lastSeenFallback = new Date().toISOString();
-            io.emit("userOffline", { userId, lastSeen: lastSeenFallback });
           });
       } else {
         console.log(
-          `User ${userId} still has ${userSockets.size} active sockets.`
+          `User ${userId} still has ${remainingSockets} active sockets.`
         );
+        // The device list (or away state) may have changed
+        publishPresenceSafely(io, userId, socket.token);
       }
-    } else {
-      console.warn(
-        `User ${userId} not found in connectedUsers map during disconnect.`
-      );
     }
 
-    // Clean up typing indicators etc. (Keep this)
-    socket.rooms.forEach((room) => {
-      if (room.startsWith("channel_") && room !== socket.id) {
-        const channelId = room.substring("channel_".length);
-        socket.to(room).emit(SOCKET_EVENTS.USER_STOPPED_TYPING, {
-          channelId: parseInt(channelId, 10),
-          userId,
-        });
-      }
+    // Clean up typing indicators (socket.rooms is already empty here, so use
+    // the typing state tracked for this socket)
+    stopAllTyping(io, socket, userId).catch((error) => {
+      console.error(
+        `Failed to clear typing state of socket ${socket.id}: ${error.message}`
+      );
     });
   });
 };
@@ -0,0 +1,58 @@
+// node-server/socket/membership.js
+// Resolves a user's channel memberships (cache first, then PHP /user/channels)
+// and puts sockets in their channel rooms without waiting for getChannels.
+const { makePhpRequest } = require("../services/phpApiService");
+const {
+  getCachedChannelIds,
+  storeChannelIds,
+} = require("../cluster/membershipCache");
+
+const channelRoom = (channelId) => `channel_${channelId}`;
+
+// Channel IDs of the user. Throws when neither the cache nor PHP can answer.
+const resolveChannelIds = async (userId, token) => {
+  const cached = await getCachedChannelIds(userId);
+  if (cached) return cached;
+
+  const response = await makePhpRequest("get", "/user/channels", token);
+  if (!response?.success) {
+    throw new Error(response?.message || "Failed to load channels");
+  }
+  const channelIds = (response.data || [])
+    .map((channel) => channel?.id)
+    .filter(Boolean);
+  await storeChannelIds(userId, channelIds);
+  return channelIds.map(String);
+};
+
+// Makes the socket's channel rooms match `channelIds`: joins the missing
+// ones and leaves rooms of channels the user is no longer in
+const syncChannelRooms = (socket, channelIds) => {
+  const wanted = new Set(channelIds.map(channelRoom));
+  socket.rooms.forEach((room) => {
+    if (room.startsWith("channel_") && !wanted.has(room)) socket.leave(room);
+  });
+  socket.join([...wanted]);
+};
+
+// On connect: join every channel room so broadcasts arrive even if the client
+// never calls getChannels (e.g. after a reconnect)
+const joinChannelRooms = async (socket, userId) => {
+  const channelIds = await resolveChannelIds(userId, socket.token);
+  syncChannelRooms(socket, channelIds);
+  return channelIds;
+};
+
+// Room-gated handlers check membership through this so a request sent right
+// after connect is not refused before joinChannelRooms has finished
+const isInChannelRoom = async (socket, channelId) => {
+  await socket.data.roomsReady;
+  return socket.rooms.has(channelRoom(channelId));
+};
+
+module.exports = {
+  resolveChannelIds,
+  syncChannelRooms,
+  joinChannelRooms,
+  isInChannelRoom,
+};
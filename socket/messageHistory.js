@@ -0,0 +1,111 @@
+// node-server/socket/messageHistory.js
+// Cursor-based message history for getMessages and getThreadMessages. Cursors
+// are message IDs, which only grow, so a window stays put however many
+// messages arrive meanwhile:
+//   before: messages older than the ID      after: messages newer than the ID
+//   around: the message itself with context on both sides (jump-to-message)
+// PHP answers plain before/after queries; `around` is built from one of each.
+// Every window is returned oldest first, with the cursors for the next fetch.
+// `path` is the PHP list endpoint: a channel's messages or a thread's replies.
+const { makePhpRequest } = require("../services/phpApiService");
+
+const byId = (a, b) => Number(a.id) - Number(b.id);
+
+// One PHP page; resolves { data, messages } or { error }
+const fetchPage = async (token, path, params) => {
+  const query = new URLSearchParams(params).toString();
+  const response = await makePhpRequest("get", `${path}?${query}`, token);
+  if (!response?.success || !response.data) {
+    return { error: response?.message || "Failed to fetch messages from PHP" };
+  }
+  const messages = (response.data.messages || [])
+    .filter((message) => message?.id)
+    .sort(byId);
+  return { data: response.data, messages };
+};
+
+// Asks PHP for one more message than needed to learn whether more exist
+const fetchBefore = async (token, path, before, count) => {
+  const page = await fetchPage(token, path, { before, limit: count + 1 });
+  if (page.error || page.messages.length <= count) {
+    return { ...page, hasMore: false };
+  }
+  return { ...page, messages: page.messages.slice(-count), hasMore: true };
+};
+
+const fetchAfter = async (token, path, after, count) => {
+  const page = await fetchPage(token, path, { after, limit: count + 1 });
+  if (page.error || page.messages.length <= count) {
+    return { ...page, hasMore: false };
+  }
+  return { ...page, messages: page.messages.slice(0, count), hasMore: true };
+};
+
+// `limit` messages around the anchor; the anchor counts towards the older half
+const fetchAround = async (token, path, around, limit) => {
+  const olderCount = Math.ceil(limit / 2);
+  const [older, newer] = await Promise.all([
+    fetchBefore(token, path, Number(around) + 1, olderCount),
+    fetchAfter(token, path, around, limit - olderCount),
+  ]);
+  if (older.error || newer.error) return { error: older.error || newer.error };
+  return {
+    data: older.data,
+    messages: [...older.messages, ...newer.messages],
+    hasMoreBefore: older.hasMore,
+    hasMoreAfter: newer.hasMore,
+  };
+};
+
+// Resolves { messagesData, hasMoreBefore, hasMoreAfter, cursors, anchor? }
+// or { error }. A `null` cursor means there is nothing further that way
+// (for `after`: the client is caught up and live events take over).
+const fetchMessageWindow = async (
+  token,
+  path,
+  { before, after, around, limit }
+) => {
+  let window;
+  // Boundaries used as cursors when the window comes back empty
+  let lowerBound;
+  let upperBound;
+  if (around !== undefined) {
+    window = await fetchAround(token, path, around, limit);
+    lowerBound = Number(around) + 1;
+    upperBound = Number(around);
+  } else if (before !== undefined) {
+    const page = await fetchBefore(token, path, before, limit);
+    window = { ...page, hasMoreBefore: page.hasMore, hasMoreAfter: true };
+    lowerBound = Number(before);
+    upperBound = Number(before) - 1;
+  } else {
+    const page = await fetchAfter(token, path, after, limit);
+    window = { ...page, hasMoreBefore: true, hasMoreAfter: page.hasMore };
+    lowerBound = Number(after) + 1;
+    upperBound = Number(after);
+  }
+  if (window.error) return { error: window.error };
+
+  const { messages, hasMoreBefore, hasMoreAfter } = window;
+  const oldest = messages[0];
+  const newest = messages[messages.length - 1];
+  const result = {
+    messagesData: { ...window.data, messages },
+    hasMoreBefore,
+    hasMoreAfter,
+    cursors: {
+      before: hasMoreBefore ? oldest?.id ?? lowerBound : null,
+      after: hasMoreAfter ? newest?.id ?? upperBound : null,
+    },
+  };
+  if (around !== undefined) {
+    // found: false when the message is gone (deleted, or cleared for this user)
+    result.anchor = {
+      messageId: around,
+      found: messages.some((message) => String(message.id) === String(around)),
+    };
+  }
+  return result;
+};
+
+module.exports = { fetchMessageWindow };
@@ -0,0 +1,71 @@
+// node-server/socket/pins.js
+// Pinned messages. PHP stores the pins; this module gives them one shape on
+// the wire ({ messageId, pinnedBy, pinnedAt, message }, newest pin first) and
+// decides who may pin: anyone in direct chats and small groups, only admins
+// in groups of config.pinAdminOnlyMinMembers members or more.
+const config = require("../config");
+
+const pinsPath = (channelId) => `/user/channels/${channelId}/pins`;
+
+const normalizePin = (pin) => ({
+  messageId: pin.message_id ?? pin.messageId ?? pin.message?.id ?? pin.id,
+  pinnedBy: pin.pinned_by ?? pin.pinnedBy ?? null,
+  pinnedAt: pin.pinned_at ?? pin.pinnedAt ?? null,
+  message: pin.message || null,
+});
+
+const normalizePins = (pins) =>
+  (Array.isArray(pins) ? pins : [])
+    .filter(Boolean)
+    .map(normalizePin)
+    .filter((pin) => pin.messageId)
+    .sort((a, b) => (b.pinnedAt || "").localeCompare(a.pinnedAt || ""));
+
+const isPinned = (pins, messageId) =>
+  pins.some((pin) => String(pin.messageId) === String(messageId));
+
+// The pins after a confirmed change, for when they cannot be re-read from PHP
+const applyPinChange = (pins, { messageId, userId, pinned }) => {
+  const others = pins.filter(
+    (pin) => String(pin.messageId) !== String(messageId)
+  );
+  if (!pinned) return others;
+  const pin = {
+    messageId,
+    pinnedBy: userId,
+    pinnedAt: new Date().toISOString(),
+    message: null,
+  };
+  return [pin, ...others];
+};
+
+// PHP marks admins on the member entry (is_admin, role or pivot) or as creator
+const isChannelAdmin = (channel, userId) => {
+  if (String(channel.created_by ?? channel.owner_id) === String(userId)) {
+    return true;
+  }
+  const member = (channel.users || []).find(
+    (user) => String(user?.id) === String(userId)
+  );
+  return Boolean(
+    member &&
+      (member.is_admin ||
+        member.pivot?.is_admin ||
+        ["admin", "owner"].includes(member.role ?? member.pivot?.role))
+  );
+};
+
+const canManagePins = (channel, userId) => {
+  const isLargeGroup =
+    Number(channel.is_group) === 1 &&
+    (channel.users || []).length >= config.pinAdminOnlyMinMembers;
+  return !isLargeGroup || isChannelAdmin(channel, userId);
+};
+
+module.exports = {
+  pinsPath,
+  normalizePins,
+  isPinned,
+  applyPinChange,
+  canManagePins,
+};
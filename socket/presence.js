@@ -0,0 +1,311 @@
+// node-server/socket/presence.js
+// Scoped presence. A user's userOnline/userOffline/presenceChanged only reaches:
+//   - members of the user's channels (channel_<id> rooms),
+//   - sockets in the user's presence_<id> room: people who have the user in
+//     their PHP contact list (joined on connect) or who subscribed explicitly.
+//
+// Rich presence: status is "online", "away" (every socket idle), "dnd" or
+// "offline" (no sockets, or invisible mode), plus an optional custom status and
+// the device types the user is connected from.
+const config = require("../config");
+const {
+  makePhpRequest,
+  updatePhpPresence,
+} = require("../services/phpApiService");
+const presenceRegistry = require("../cluster/presenceRegistry");
+const { SOCKET_EVENTS } = require("./events");
+const { resolveChannelIds } = require("./membership");
+
+const presenceRoom = (userId) => `presence_${userId}`;
+
+// IDs from a PHP list endpoint; an empty list when PHP fails, so presence
+// degrades to fewer recipients instead of breaking connect/disconnect
+const fetchIds = async (token, path) => {
+  try {
+    const response = await makePhpRequest("get", path, token);
+    if (!response?.success || !Array.isArray(response.data)) return [];
+    return response.data.map((item) => item.id).filter(Boolean);
+  } catch (error) {
+    console.error(`[Presence] Failed to load ${path}: ${error.message}`);
+    return [];
+  }
+};
+
+// Rooms that should hear about this user's presence changes
+const getAudienceRooms = async (userId, token) => {
+  const channelIds = await resolveChannelIds(userId, token).catch((error) => {
+    console.error(`[Presence] Failed to resolve channels: ${error.message}`);
+    return [];
+  });
+  return [
+    ...channelIds.map((channelId) => `channel_${channelId}`),
+    presenceRoom(userId),
+  ];
+};
+
+// Emits a presence event to the user's audience. `io.to` with several rooms
+// delivers once per socket, however many rooms it shares with the user.
+const announcePresence = async (io, userId, token, event, data) => {
+  const rooms = await getAudienceRooms(userId, token);
+  io.to(rooms).emit(event, data);
+};
+
+// Subscribes a freshly connected socket to the presence of its user's contacts.
+// The contact IDs are kept on the socket so unsubscribePresence leaves them alone.
+const joinContactPresenceRooms = async (socket) => {
+  const contactIds = await fetchIds(socket.token, "/user/contacts");
+  socket.data.presenceContacts = new Set(contactIds.map(String));
+  socket.join(contactIds.map(presenceRoom));
+};
+
+// Explicit subscriptions count against config.presenceMaxSubscriptions per socket
+const subscribedCount = (socket) =>
+  [...socket.rooms].filter((room) => room.startsWith("presence_")).length -
+  (socket.data.presenceContacts?.size || 0);
+
+const subscribePresence = (socket, userIds) => {
+  const newIds = userIds.filter(
+    (userId) => !socket.rooms.has(presenceRoom(userId))
+  );
+  if (
+    subscribedCount(socket) + newIds.length >
+    config.presenceMaxSubscriptions
+  ) {
+    return false;
+  }
+  socket.join(newIds.map(presenceRoom));
+  return true;
+};
+
+const unsubscribePresence = (socket, userIds) => {
+  userIds
+    .filter((userId) => !socket.data.presenceContacts?.has(String(userId)))
+    .forEach((userId) => socket.leave(presenceRoom(userId)));
+};
+
+// --- Rich presence ---
+
+const DEVICE_TYPES = ["web", "desktop", "ios", "android"];
+
+// Clients should send auth.deviceType; otherwise guess from the user agent
+const detectDeviceType = (handshake) => {
+  const declared = handshake.auth?.deviceType;
+  if (DEVICE_TYPES.includes(declared)) return declared;
+  const userAgent = handshake.headers["user-agent"] || "";
+  if (/android/i.test(userAgent)) return "android";
+  if (/iphone|ipad|ios/i.test(userAgent)) return "ios";
+  // Native macOS clients send Darwin in their user agent
+  if (/electron|darwin/i.test(userAgent)) return "desktop";
+  return "web";
+};
+
+const activeCustomStatus = (customStatus) =>
+  customStatus &&
+  (!customStatus.expiresAt || customStatus.expiresAt > Date.now())
+    ? customStatus
+    : null;
+
+// What other users see: { userId, online, status, customStatus, devices, lastSeen }
+const computePresence = async (userId) => {
+  const [sockets, state, lastSeen] = await Promise.all([
+    presenceRegistry.getUserSockets(userId),
+    presenceRegistry.getPresenceState(userId),
+    presenceRegistry.getLastSeen(userId),
+  ]);
+  const mode = state.mode || "auto";
+  const online = sockets.length > 0 && mode !== "invisible";
+  if (!online) {
+    return {
+      userId,
+      online: false,
+      status: "offline",
+      customStatus: null,
+      devices: [],
+      lastSeen,
+    };
+  }
+
+  let status = "away";
+  if (mode === "dnd") status = "dnd";
+  else if (sockets.some((entry) => !entry.idle)) status = "online";
+
+  return {
+    userId,
+    online: true,
+    status,
+    customStatus: activeCustomStatus(state.customStatus),
+    devices: [...new Set(sockets.map((entry) => entry.deviceType || "web"))],
+    lastSeen: null,
+  };
+};
+
+// Recomputes the user's presence and, if it changed since the last broadcast
+// (on any node), emits presenceChanged to the audience and persists it to PHP.
+const publishPresence = async (io, userId, token) => {
+  const presence = await computePresence(userId);
+  const { lastSeen, ...comparable } = presence;
+  const changed = await presenceRegistry.swapPresenceView(
+    userId,
+    JSON.stringify(comparable)
+  );
+  if (!changed) return presence;
+
+  await announcePresence(
+    io,
+    userId,
+    token,
+    SOCKET_EVENTS.PRESENCE_CHANGED,
+    presence
+  );
+  const { mode = "auto" } = await presenceRegistry.getPresenceState(userId);
+  updatePhpPresence(token, { ...presence, mode }).catch(() => {
+    // Logged by updatePhpPresence; the broadcast already went out
+  });
+  return presence;
+};
+
+const publishPresenceSafely = (io, userId, token) =>
+  publishPresence(io, userId, token).catch((error) => {
+    console.error(
+      `[Presence] Failed to publish presence of ${userId}: ${error.message}`
+    );
+  });
+
+// Per-socket idle timer: a socket without activity heartbeats for
+// config.presenceAwayAfterMs counts as idle; the user is away once all are.
+const scheduleIdle = (io, socket, userId) => {
+  clearTimeout(socket.data.idleTimer);
+  socket.data.idleTimer = setTimeout(
+    () => markSocketActivity(io, socket, userId, true),
+    config.presenceAwayAfterMs
+  );
+  socket.data.idleTimer.unref();
+};
+
+const markSocketActivity = async (io, socket, userId, idle) => {
+  if (!socket.connected) return;
+  if (idle) clearTimeout(socket.data.idleTimer);
+  else scheduleIdle(io, socket, userId);
+
+  if (!idle) socket.data.lastActiveAt = Date.now();
+
+  if (socket.data.idle === idle) return; // Nothing changed for this socket
+  socket.data.idle = idle;
+  await presenceRegistry.updateSocketMeta(userId, socket.id, {
+    idle,
+    lastActiveAt: socket.data.lastActiveAt,
+  });
+  await publishPresenceSafely(io, userId, socket.token);
+};
+
+// Registers the socket with its device type and starts its idle timer.
+// Resolves with the user's cluster-wide socket count.
+const registerPresenceSocket = async (io, socket, userId) => {
+  socket.data.idle = false;
+  socket.data.lastActiveAt = Date.now();
+  const registration = presenceRegistry.addSocket(userId, socket.id, {
+    deviceType: detectDeviceType(socket.handshake),
+    idle: false,
+    lastActiveAt: socket.data.lastActiveAt,
+  });
+  // Awaited by releasePresenceSocket (failures are the caller's to report)
+  socket.data.presenceRegistration = registration.catch(() => null);
+  const count = await registration;
+  if (socket.connected) scheduleIdle(io, socket, userId);
+  return count;
+};
+
+// Waits for a registration still in flight, so a socket that disconnects
+// right after connecting does not leave an entry behind
+const releasePresenceSocket = async (socket, userId) => {
+  await socket.data.presenceRegistration;
+  clearTimeout(socket.data.idleTimer);
+  return presenceRegistry.removeSocket(userId, socket.id);
+};
+
+// Custom status expiry per user (on the node that set it), so it is broadcast
+// even when the socket that set the status is gone by then. A timer left over
+// on another node only recomputes presence, which broadcasts nothing if the
+// status has changed since.
+const customStatusTimers = new Map(); // String(userId) -> timeout
+
+const scheduleCustomStatusExpiry = (io, userId, token, expiresAt) => {
+  const key = String(userId);
+  clearTimeout(customStatusTimers.get(key));
+  customStatusTimers.delete(key);
+  if (!expiresAt) return;
+  const timer = setTimeout(() => {
+    customStatusTimers.delete(key);
+    publishPresenceSafely(io, userId, token);
+  }, Math.max(0, expiresAt - Date.now()));
+  timer.unref();
+  customStatusTimers.set(key, timer);
+};
+
+// Applies setPresence. `statusText: null` clears the custom status.
+// Resolves with the user's own view (including the mode, which others never see).
+const setPresence = async (
+  io,
+  socket,
+  userId,
+  { mode, statusText, statusExpiresAt }
+) => {
+  const state = await presenceRegistry.getPresenceState(userId);
+  const wasInvisible = state.mode === "invisible";
+  if (mode !== undefined) state.mode = mode;
+  if (statusText !== undefined) {
+    state.customStatus =
+      statusText === null || statusText === ""
+        ? null
+        : { text: statusText, expiresAt: statusExpiresAt || null };
+  }
+  await presenceRegistry.setPresenceState(userId, state);
+
+  // Broadcast the expiry when it happens (any reader also drops it once expired)
+  scheduleCustomStatusExpiry(
+    io,
+    userId,
+    socket.token,
+    state.customStatus?.expiresAt
+  );
+
+  // Clients that only know userOnline/userOffline see invisible as offline too
+  const invisible = state.mode === "invisible";
+  if (invisible !== wasInvisible) {
+    await announcePresence(
+      io,
+      userId,
+      socket.token,
+      invisible ? "userOffline" : "userOnline",
+      invisible ? { userId, lastSeen: new Date().toISOString() } : { userId }
+    );
+  }
+
+  const presence = await publishPresence(io, userId, socket.token);
+  return {
+    ...presence,
+    mode: state.mode || "auto",
+    customStatus: activeCustomStatus(state.customStatus),
+  };
+};
+
+const isInvisible = async (userId) =>
+  (await presenceRegistry.getPresenceState(userId)).mode === "invisible";
+
+// Presence of the requested users, as others see it
+const getPresenceSnapshot = (userIds) =>
+  Promise.all(userIds.map(computePresence));
+
+module.exports = {
+  announcePresence,
+  publishPresenceSafely,
+  registerPresenceSocket,
+  releasePresenceSocket,
+  markSocketActivity,
+  setPresence,
+  isInvisible,
+  joinContactPresenceRooms,
+  subscribePresence,
+  unsubscribePresence,
+  getPresenceSnapshot,
+};
@@ -0,0 +1,116 @@
+// node-server/socket/rateLimiter.js
+// Rate limiting in front of every socket event (installed with socket.use).
+// Token buckets per user and event, plus per-channel buckets for messages, all
+// kept in the cluster store. Rejected requests get a structured error in their
+// ack, except high-frequency signals (typing, heartbeats), which are dropped
+// silently. Users who keep hitting the limits of mutating events are muted
+// for a while and then disconnected.
+const config = require("../config");
+const { getDriver } = require("../cluster");
+
+const bucketKey = (userId, event, channelId) =>
+  channelId === undefined
+    ? `ratelimit:${userId}:${event}`
+    : `ratelimit:${userId}:${event}:channel:${channelId}`;
+const violationsKey = (userId) => `ratelimit:violations:${userId}`;
+const muteKey = (userId) => `ratelimit:muted:${userId}`;
+
+const limitFor = (event) =>
+  config.rateLimits.events[event] || config.rateLimits.default;
+
+// Takes a token from every bucket that applies. Resolves with the longest wait, 0 when allowed.
+const consume = async (userId, event, payload) => {
+  const driver = getDriver();
+  const checks = [{ key: bucketKey(userId, event), limit: limitFor(event) }];
+
+  const channelLimit = config.rateLimits.perChannel[event];
+  if (channelLimit && payload?.channelId !== undefined) {
+    checks.push({
+      key: bucketKey(userId, event, payload.channelId),
+      limit: channelLimit,
+    });
+  }
+
+  const results = await Promise.all(
+    checks.map(({ key, limit }) =>
+      driver.takeToken(key, limit.capacity, limit.refillPerSecond)
+    )
+  );
+  return Math.max(
+    0,
+    ...results.filter((r) => !r.allowed).map((r) => r.retryAfterMs)
+  );
+};
+
+// Counts a rejection (muted requests included). Resolves with "disconnect", "mute" or null.
+// Only called for config.rateLimits.violations.events.
+const recordViolation = async (userId) => {
+  const { windowMs, muteAfter, muteDurationMs, disconnectAfter } =
+    config.rateLimits.violations;
+  const driver = getDriver();
+  const count = await driver.incrWithTtl(violationsKey(userId), windowMs);
+
+  if (count >= disconnectAfter) return "disconnect";
+  if (count === muteAfter) {
+    const mutedUntil = Date.now() + muteDurationMs;
+    await driver.set(muteKey(userId), String(mutedUntil), muteDurationMs);
+    return "mute";
+  }
+  return null;
+};
+
+const createRateLimitMiddleware = (socket) => async (packet, next) => {
+  const [event, payload] = packet;
+  const ack = packet[packet.length - 1];
+  const userId = socket.userData.id;
+
+  let rejection;
+  try {
+    const dropWhenLimited = config.rateLimits.dropWhenLimited.includes(event);
+    const mutedUntil = Number(await getDriver().get(muteKey(userId)));
+    if (mutedUntil > Date.now()) {
+      if (dropWhenLimited) return;
+      rejection = {
+        success: false,
+        error: "You are temporarily muted for sending too many requests.",
+        code: "MUTED",
+        retryAfterMs: mutedUntil - Date.now(),
+      };
+    } else {
+      const retryAfterMs = await consume(userId, event, payload);
+      if (retryAfterMs === 0) return next();
+      if (dropWhenLimited) return;
+      rejection = {
+        success: false,
+        error: `Rate limit exceeded for ${event}. Try again later.`,
+        code: "RATE_LIMITED",
+        retryAfterMs,
+      };
+    }
+
+    const penalty = config.rateLimits.violations.events.includes(event)
+      ? await recordViolation(userId)
+      : null;
+    if (typeof ack === "function") ack(rejection);
+
+    if (penalty === "disconnect") {
+      console.warn(
+        `[RateLimit] Disconnecting socket ${socket.id} of user ${userId} for flooding.`
+      );
+      socket.emit("rateLimitDisconnect", { reason: "flooding" });
+      socket.disconnect(true);
+    } else if (penalty === "mute") {
+      const { muteDurationMs } = config.rateLimits.violations;
+      console.warn(
+        `[RateLimit] Muting user ${userId} for ${muteDurationMs}ms.`
+      );
+      socket.emit("muted", { retryAfterMs: muteDurationMs });
+    }
+  } catch (error) {
+    // Fail open: a store outage should not take the chat down with it
+    console.error(`[RateLimit] Check failed for ${event}: ${error.message}`);
+    next();
+  }
+};
+
+module.exports = { createRateLimitMiddleware };
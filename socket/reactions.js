@@ -0,0 +1,88 @@
+// node-server/socket/reactions.js
+// Message reactions are stored by PHP; this module gives them one shape on the
+// wire whatever PHP returns (one row per reactor, or already grouped):
+//   [{ emoji, count, userIds }] in order of each emoji's first reaction.
+// A user reacts at most once per emoji, so adding twice changes nothing.
+
+// Emoji only, including ZWJ sequences, skin tones, keycaps and flags
+const EMOJI_PATTERN =
+  /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Component}|\u200d|\ufe0f|\u20e3)+$/u;
+const PICTOGRAPHIC_PATTERN =
+  /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u;
+
+const isEmoji = (value) =>
+  typeof value === "string" &&
+  EMOJI_PATTERN.test(value) &&
+  PICTOGRAPHIC_PATTERN.test(value);
+
+const reactorIds = (reaction) => {
+  const ids = reaction.userIds || reaction.user_ids;
+  if (Array.isArray(ids)) return ids;
+  return reaction.user_id !== undefined ? [reaction.user_id] : [];
+};
+
+const aggregateReactions = (reactions) => {
+  const byEmoji = new Map();
+  (Array.isArray(reactions) ? reactions : [])
+    .filter((reaction) => reaction?.emoji)
+    .forEach((reaction) => {
+      const entry = byEmoji.get(reaction.emoji) || {
+        emoji: reaction.emoji,
+        userIds: [],
+      };
+      reactorIds(reaction).forEach((userId) => {
+        if (!entry.userIds.some((id) => String(id) === String(userId))) {
+          entry.userIds.push(userId);
+        }
+      });
+      byEmoji.set(reaction.emoji, entry);
+    });
+  return [...byEmoji.values()]
+    .filter((entry) => entry.userIds.length > 0)
+    .map((entry) => ({ ...entry, count: entry.userIds.length }));
+};
+
+// getMessages results: every message gets aggregated `reactions`
+const withAggregatedReactions = (messagesData) => {
+  if (!Array.isArray(messagesData?.messages)) return messagesData;
+  return {
+    ...messagesData,
+    messages: messagesData.messages.map((message) =>
+      message && typeof message === "object"
+        ? { ...message, reactions: aggregateReactions(message.reactions) }
+        : message
+    ),
+  };
+};
+
+const hasReacted = (reactions, userId, emoji) =>
+  reactions.some(
+    (entry) =>
+      entry.emoji === emoji &&
+      entry.userIds.some((id) => String(id) === String(userId))
+  );
+
+// The aggregate after the user added (added = true) or removed an emoji
+const applyReaction = (reactions, userId, emoji, added) => {
+  const others = reactions.map((entry) =>
+    entry.emoji === emoji
+      ? {
+          ...entry,
+          userIds: entry.userIds.filter((id) => String(id) !== String(userId)),
+        }
+      : entry
+  );
+  const rows = others.flatMap((entry) =>
+    entry.userIds.map((id) => ({ emoji: entry.emoji, user_id: id }))
+  );
+  if (added) rows.push({ emoji, user_id: userId });
+  return aggregateReactions(rows);
+};
+
+module.exports = {
+  isEmoji,
+  aggregateReactions,
+  withAggregatedReactions,
+  hasReacted,
+  applyReaction,
+};
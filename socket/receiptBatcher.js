@@ -0,0 +1,113 @@
+// node-server/socket/receiptBatcher.js
+// Batches per-message read/delivery receipts. Receipts are buffered per user,
+// channel and type for a short window, then flushed as ONE PHP call for the
+// highest message ID and ONE aggregated messageStatusUpdate broadcast.
+// Buffers are local to this node: a socket's receipts always arrive here.
+const config = require("../config");
+const { makePhpRequest } = require("../services/phpApiService");
+const { emitToChannel } = require("./broadcast");
+const { SOCKET_EVENTS } = require("./events");
+const { recordReceipt, getWatermark } = require("../cluster/receiptStore");
+const { countMessagesRead } = require("./unread");
+
+const RECEIPT_TYPES = {
+  delivered: { phpAction: "mark-delivered-at", timestampField: "delivered_at" },
+  read: { phpAction: "mark-as-read", timestampField: "read_at" },
+};
+
+// `${userId}:${channelId}:${type}` -> { io, userId, token, channelId, type, messageIds, timer }
+const pending = new Map();
+
+const flushEntry = async (key) => {
+  const entry = pending.get(key);
+  if (!entry) return;
+  pending.delete(key);
+  clearTimeout(entry.timer);
+
+  const { io, userId, token, channelId, type } = entry;
+  const { phpAction, timestampField } = RECEIPT_TYPES[type];
+  const messageIds = [...entry.messageIds].sort(
+    (a, b) => Number(a) - Number(b)
+  );
+  const highestMessageId = messageIds[messageIds.length - 1];
+  const logPrefix = `[Receipts][User ${userId}][Chan ${channelId}][${type}]`;
+
+  try {
+    // PHP marks everything up to and including this message
+    const phpPath = `/user/channels/${channelId}/messages/${highestMessageId}/${phpAction}`;
+    const response = await makePhpRequest("put", phpPath, token);
+    if (!response.success) {
+      console.warn(
+        `${logPrefix} PHP failed marking up to msg ${highestMessageId}: ${response.message}`
+      );
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    let delta = null;
+    let readUpTo = 0; // Read watermark before this batch (unread counting)
+    try {
+      if (type === "read") {
+        readUpTo = await getWatermark(channelId, userId, "read");
+      }
+      delta = await recordReceipt(
+        channelId,
+        userId,
+        type,
+        highestMessageId,
+        timestamp
+      );
+    } catch (storeError) {
+      console.error(
+        `${logPrefix} Failed to record receipt: ${storeError.message}`
+      );
+    }
+    await emitToChannel(io, channelId, SOCKET_EVENTS.MESSAGE_STATUS_UPDATE, {
+      channelId,
+      actorUserId: userId,
+      receipts: delta ? [delta] : [], // Per-user watermark deltas for "seen by" lists
+      updates: messageIds.map((messageId) => ({
+        messageId,
+        [timestampField]: timestamp,
+      })),
+    });
+
+    if (type === "read") {
+      await countMessagesRead(io, userId, channelId, messageIds, readUpTo);
+    }
+  } catch (error) {
+    console.error(
+      `${logPrefix} Failed to flush ${messageIds.length} receipt(s): ${error.message}`
+    );
+  }
+};
+
+// Buffers one receipt. The window starts with the first receipt of a batch and is
+// not extended by later ones, so a steady stream still flushes regularly.
+const queueReceipt = (io, { userId, token, channelId, messageId, type }) => {
+  const key = `${userId}:${channelId}:${type}`;
+  let entry = pending.get(key);
+  if (!entry) {
+    entry = { io, userId, channelId, type, messageIds: new Set() };
+    entry.timer = setTimeout(
+      () => flushEntry(key),
+      config.receiptBatchWindowMs
+    );
+    pending.set(key, entry);
+  }
+  entry.token = token; // Latest token wins (it may have been refreshed)
+  entry.messageIds.add(messageId);
+  if (entry.messageIds.size >= config.receiptBatchMaxSize) {
+    flushEntry(key);
+  }
+};
+
+// Flushes every buffered receipt of a user right away (e.g. on disconnect)
+const flushUserReceipts = (userId) =>
+  Promise.all(
+    [...pending.keys()]
+      .filter((key) => key.startsWith(`${userId}:`))
+      .map(flushEntry)
+  );
+
+module.exports = { queueReceipt, flushUserReceipts };
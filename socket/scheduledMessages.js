@@ -0,0 +1,503 @@
+// node-server/socket/scheduledMessages.js
+// Scheduled messages: composed now, sent later by a scheduler that runs on
+// every node. Jobs live in the cluster store (cluster/scheduledStore.js), so
+// they survive restarts; with the memory driver they would not, so the feature
+// is off there. A per-job lock keeps two nodes from delivering the same one,
+// and delivery goes through chatActions.sendMessage (same PHP call, newMessage
+// broadcast and counters) with the job ID as idempotencyKey, so a delivery
+// retried after a crash is not sent twice.
+//
+// sendAt is either absolute ("2026-12-24T00:00:00+01:00", "...Z") or a local
+// wall time ("2026-12-24T00:00") in the IANA `timeZone` given with it.
+//
+// PHP needs the author's token at delivery time. It is kept sealed
+// (AES-256-GCM, config.schedulerSecret) and refreshed whenever the author
+// connects or reauthenticates.
+const crypto = require("crypto");
+const config = require("../config");
+const chatActions = require("./chatActions");
+const { emitToUser } = require("./broadcast");
+const { resolveChannelIds } = require("./membership");
+const { SOCKET_EVENTS } = require("./events");
+const { getDriver } = require("../cluster");
+const scheduledStore = require("../cluster/scheduledStore");
+
+const invalidInput = (error) => ({
+  success: false,
+  error,
+  code: "INVALID_INPUT",
+});
+
+const notFound = () => ({
+  success: false,
+  error: "Scheduled message not found.",
+  code: "NOT_FOUND",
+});
+
+// --- Time zones ---
+
+const LOCAL_DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const EXPLICIT_OFFSET = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// How far the zone's wall clock is ahead of UTC at the instant, in ms
+const zoneOffsetMs = (timeZone, instant) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(instant))
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const wallClockAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClockAsUtc - Math.floor(instant / 1000) * 1000;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Wall time in the zone -> epoch ms. Tries the zone's offsets of the day
+// before and the day after (they differ around a DST change) and keeps the
+// instants that really show that wall time. A repeated wall time (clocks set
+// back) resolves to its first occurrence. A skipped one (clocks set forward)
+// is read with the offset from before the change, so it always lands after
+// the change: 02:30 on a 02:00 -> 03:00 night becomes 03:30.
+const zonedTimeToEpoch = (localDateTime, timeZone) => {
+  const [, year, month, day, hour, minute, second = 0] =
+    localDateTime.match(LOCAL_DATE_TIME);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetBefore = zoneOffsetMs(timeZone, wallClockAsUtc - DAY_MS);
+  const offsetAfter = zoneOffsetMs(timeZone, wallClockAsUtc + DAY_MS);
+  const matching = [offsetBefore, offsetAfter]
+    .map((offset) => wallClockAsUtc - offset)
+    .filter(
+      (instant) => zoneOffsetMs(timeZone, instant) === wallClockAsUtc - instant
+    );
+  return matching.length > 0
+    ? Math.min(...matching)
+    : wallClockAsUtc - offsetBefore;
+};
+
+// Resolves { sendAt } (epoch ms) or { error }
+const resolveSendAt = (sendAt, timeZone) => {
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    return { error: "timeZone must be an IANA time zone, e.g. Europe/Berlin." };
+  }
+  if (LOCAL_DATE_TIME.test(sendAt)) {
+    if (!timeZone) return { error: "timeZone is required for a local sendAt." };
+    return { sendAt: zonedTimeToEpoch(sendAt, timeZone) };
+  }
+  const time = Date.parse(sendAt);
+  if (!EXPLICIT_OFFSET.test(sendAt) || !Number.isFinite(time)) {
+    return {
+      error: "sendAt must be an ISO 8601 date-time with an offset, or local.",
+    };
+  }
+  return { sendAt: time };
+};
+
+const checkSendAtWindow = (sendAt) => {
+  const now = Date.now();
+  if (sendAt <= now) return "sendAt must be in the future.";
+  if (sendAt - now > config.scheduledMessages.maxAheadMs) {
+    return "sendAt is too far in the future.";
+  }
+  return null;
+};
+
+// --- Sealed tokens ---
+
+const sealingKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(`scheduled-messages:${config.schedulerSecret}`)
+    .digest();
+
+const sealToken = (token) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", sealingKey(), iv);
+  const sealed = Buffer.concat([cipher.update(token, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), sealed]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+const openToken = (sealedToken) => {
+  const [iv, tag, sealed] = sealedToken
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", sealingKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+// --- Actions ---
+
+// What clients see of a job (never the sealed token)
+const toPublic = ({ sealedToken, ...job }) => ({
+  ...job,
+  sendAtIso: new Date(job.sendAt).toISOString(),
+});
+
+const notifyAuthor = (io, userId, action, job) =>
+  emitToUser(io, userId, SOCKET_EVENTS.SCHEDULED_MESSAGES_UPDATED, {
+    action,
+    scheduledMessage: toPublic(job),
+  });
+
+const notConfigured = () => ({
+  success: false,
+  error: "Scheduled messages are not configured on this server.",
+  code: "BACKEND_UNAVAILABLE",
+});
+
+// Needs a sealing secret and a cluster store that outlives the process
+const isConfigured = () =>
+  Boolean(config.schedulerSecret) && getDriver().persistent;
+
+const scheduleMessage = async (
+  { io, userId, userToken, userName },
+  { channelId, message, attachment_id, sendAt, timeZone } = {}
+) => {
+  if (!isConfigured()) return notConfigured();
+  const text = (message || "").trim();
+  if (!text && !attachment_id) {
+    return invalidInput("Either message text or attachment is required");
+  }
+  const resolved = resolveSendAt(sendAt, timeZone);
+  if (resolved.error) return invalidInput(resolved.error);
+  const windowError = checkSendAtWindow(resolved.sendAt);
+  if (windowError) return invalidInput(windowError);
+
+  try {
+    const channelIds = (await resolveChannelIds(userId, userToken)).map(String);
+    if (!channelIds.includes(String(channelId))) {
+      return {
+        success: false,
+        error: "You are not a member of this channel.",
+        code: "FORBIDDEN",
+      };
+    }
+    const pending = (await scheduledStore.listUserScheduled(userId)).filter(
+      (job) => job.status === "pending"
+    );
+    if (pending.length >= config.scheduledMessages.maxPerUser) {
+      return {
+        success: false,
+        error: `At most ${config.scheduledMessages.maxPerUser} messages can be scheduled.`,
+        code: "LIMIT_EXCEEDED",
+      };
+    }
+
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      userName: userName || null,
+      channelId,
+      message: text || null,
+      attachmentId: attachment_id || null,
+      sendAt: resolved.sendAt,
+      localSendAt: LOCAL_DATE_TIME.test(sendAt) ? sendAt : null,
+      timeZone: timeZone || null,
+      status: "pending",
+      attempts: 0,
+      lastError: null,
+      failureReason: null,
+      createdAt: now,
+      updatedAt: now,
+      sealedToken: sealToken(userToken),
+    };
+    await scheduledStore.saveScheduled(job);
+    await notifyAuthor(io, userId, "scheduled", job);
+    return { success: true, scheduledMessage: toPublic(job) };
+  } catch (error) {
+    console.error(
+      `[Scheduled] Failed to schedule for ${userId}: ${error.message}`
+    );
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
+const listScheduledMessages = async ({ userId }) => {
+  try {
+    const jobs = await scheduledStore.listUserScheduled(userId);
+    return { success: true, scheduledMessages: jobs.map(toPublic) };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
+// Runs `change` on the author's job while holding its lock, so it cannot
+// race a delivery in progress on any node
+const withOwnJob = async (userId, id, change) => {
+  const lockToken = await scheduledStore.acquireScheduledLock(
+    id,
+    config.nodeId,
+    config.scheduledMessages.lockTtlMs
+  );
+  if (!lockToken) {
+    return {
+      success: false,
+      error: "The message is being sent right now.",
+      code: "REQUEST_IN_PROGRESS",
+    };
+  }
+  try {
+    const job = await scheduledStore.getScheduled(id);
+    if (!job || String(job.userId) !== String(userId)) return notFound();
+    return await change(job);
+  } finally {
+    await scheduledStore.releaseScheduledLock(id, lockToken);
+  }
+};
+
+// Edits text and/or time. A failed job that is edited is armed again.
+const editScheduledMessage = async (
+  { io, userId, userToken },
+  { scheduledMessageId, message, sendAt, timeZone } = {}
+) => {
+  try {
+    return await withOwnJob(userId, scheduledMessageId, async (job) => {
+      const updated = { ...job, sealedToken: sealToken(userToken) };
+      if (message !== undefined) {
+        updated.message = message.trim() || null;
+        if (!updated.message && !updated.attachmentId) {
+          return invalidInput("Either message text or attachment is required");
+        }
+      }
+      if (sendAt !== undefined || timeZone !== undefined) {
+        // A new zone alone moves the same local time to that zone
+        const nextSendAt =
+          sendAt ?? job.localSendAt ?? new Date(job.sendAt).toISOString();
+        const nextTimeZone = timeZone ?? job.timeZone ?? undefined;
+        const resolved = resolveSendAt(nextSendAt, nextTimeZone);
+        if (resolved.error) return invalidInput(resolved.error);
+        updated.sendAt = resolved.sendAt;
+        updated.localSendAt = LOCAL_DATE_TIME.test(nextSendAt)
+          ? nextSendAt
+          : null;
+        updated.timeZone = nextTimeZone || null;
+      }
+      const windowError = checkSendAtWindow(updated.sendAt);
+      if (windowError) return invalidInput(windowError);
+
+      Object.assign(updated, {
+        status: "pending",
+        attempts: 0,
+        lastError: null,
+        failureReason: null,
+        updatedAt: Date.now(),
+      });
+      await scheduledStore.saveScheduled(updated);
+      await notifyAuthor(io, userId, "edited", updated);
+      return { success: true, scheduledMessage: toPublic(updated) };
+    });
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
+const cancelScheduledMessage = async (
+  { io, userId },
+  { scheduledMessageId } = {}
+) => {
+  try {
+    return await withOwnJob(userId, scheduledMessageId, async (job) => {
+      await scheduledStore.deleteScheduled(job);
+      await notifyAuthor(io, userId, "cancelled", job);
+      return { success: true, scheduledMessageId };
+    });
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
+// Keeps the sealed tokens of the user's pending jobs current (on connect and
+// reauthenticate), so jobs outlive the session they were created in
+const refreshScheduledTokens = async (userId, token) => {
+  if (!isConfigured()) return;
+  const jobs = await scheduledStore.listUserScheduled(userId);
+  await Promise.all(
+    jobs
+      .filter((job) => job.status === "pending")
+      .map((job) =>
+        scheduledStore.saveScheduled({ ...job, sealedToken: sealToken(token) })
+      )
+  );
+};
+
+// --- Delivery ---
+
+const TRANSIENT_CODES = ["BACKEND_UNAVAILABLE", "REQUEST_IN_PROGRESS"];
+
+// Transient failures (PHP down) are retried with backoff; anything else, or
+// running out of attempts, fails the job and tells the author why
+const handleDeliveryFailure = async (io, job, result) => {
+  const attempts = job.attempts + 1;
+  const { maxAttempts, retryBaseDelayMs } = config.scheduledMessages;
+  if (TRANSIENT_CODES.includes(result.code) && attempts < maxAttempts) {
+    await scheduledStore.saveScheduled({
+      ...job,
+      attempts,
+      lastError: result.error,
+      sendAt: Date.now() + retryBaseDelayMs * 2 ** (attempts - 1),
+      updatedAt: Date.now(),
+    });
+    return;
+  }
+
+  // The usual permanent failure: the author left or was removed
+  let failureReason = "deliveryFailed";
+  try {
+    const channelIds = (
+      await resolveChannelIds(job.userId, openToken(job.sealedToken))
+    ).map(String);
+    if (!channelIds.includes(String(job.channelId))) {
+      failureReason = "removedFromChannel";
+    }
+  } catch (error) {
+    // Keep the generic reason
+  }
+
+  const failed = {
+    ...job,
+    status: "failed",
+    attempts,
+    lastError: result.error || "Delivery failed",
+    failureReason,
+    updatedAt: Date.now(),
+  };
+  await scheduledStore.saveScheduled(failed);
+  emitToUser(io, job.userId, SOCKET_EVENTS.SCHEDULED_MESSAGE_FAILED, {
+    scheduledMessageId: job.id,
+    channelId: job.channelId,
+    reason: failureReason,
+    error: failed.lastError,
+    scheduledMessage: toPublic(failed),
+  });
+};
+
+const deliverScheduled = async (io, id) => {
+  const lockToken = await scheduledStore.acquireScheduledLock(
+    id,
+    config.nodeId,
+    config.scheduledMessages.lockTtlMs
+  );
+  if (!lockToken) return; // Another node (or an edit) has it
+  try {
+    // Re-read under the lock: it may have been edited, cancelled or sent
+    const job = await scheduledStore.getScheduled(id);
+    if (!job || job.status !== "pending" || job.sendAt > Date.now()) return;
+
+    let result;
+    try {
+      result = await chatActions.sendMessage(
+        {
+          io,
+          userId: job.userId,
+          userToken: openToken(job.sealedToken),
+          userName: job.userName,
+        },
+        {
+          channelId: job.channelId,
+          message: job.message || undefined,
+          attachment_id: job.attachmentId || undefined,
+          idempotencyKey: `scheduled:${job.id}`,
+        }
+      );
+    } catch (error) {
+      result = { success: false, error: error.message, code: error.code };
+    }
+
+    if (result.success) {
+      await scheduledStore.deleteScheduled(job);
+      emitToUser(io, job.userId, SOCKET_EVENTS.SCHEDULED_MESSAGE_SENT, {
+        scheduledMessageId: job.id,
+        channelId: job.channelId,
+        message: result.message,
+      });
+      return;
+    }
+    console.warn(
+      `[Scheduled] Delivery of ${job.id} to channel ${job.channelId} failed: ${result.error}`
+    );
+    await handleDeliveryFailure(io, job, result);
+  } finally {
+    await scheduledStore.releaseScheduledLock(id, lockToken);
+  }
+};
+
+const deliverDueMessages = async (io) => {
+  const dueIds = await scheduledStore.getDueIds(Date.now());
+  for (const id of dueIds) {
+    await deliverScheduled(io, id).catch((error) => {
+      console.error(`[Scheduled] Failed to deliver ${id}: ${error.message}`);
+    });
+  }
+};
+
+let schedulerTimer = null;
+
+const startScheduler = (io) => {
+  if (schedulerTimer) return;
+  if (!isConfigured()) {
+    console.warn(
+      "[Scheduled] Scheduler disabled: needs SCHEDULER_SECRET and a persistent cluster driver (redis)."
+    );
+    return;
+  }
+  let running = false;
+  schedulerTimer = setInterval(async () => {
+    if (running) return; // Previous round still going (slow PHP)
+    running = true;
+    try {
+      await deliverDueMessages(io);
+    } catch (error) {
+      console.error(`[Scheduled] Delivery round failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }, config.scheduledMessages.pollIntervalMs);
+  schedulerTimer.unref();
+};
+
+const stopScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+module.exports = {
+  resolveSendAt,
+  scheduleMessage,
+  listScheduledMessages,
+  editScheduledMessage,
+  cancelScheduledMessage,
+  refreshScheduledTokens,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,80 @@
+// node-server/socket/search.js
+// Helpers for message search (chatActions.searchMessages). PHP runs the
+// full-text query (leaving out chats the user cleared); Node scopes hits to
+// the user's channels, builds highlight snippets and pages with an opaque
+// cursor.
+const SNIPPET_LENGTH = 160;
+const MAX_TERMS = 10;
+
+// Lowercased words of the query, longest first so overlapping terms
+// highlight the longer match
+const searchTerms = (query) =>
+  [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))]
+    .slice(0, MAX_TERMS)
+    .sort((a, b) => b.length - a.length);
+
+// Ranges of `text` matching any term, in order and without overlaps
+const findMatches = (text, terms) => {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  terms.forEach((term) => {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      const end = index + term.length;
+      if (!ranges.some((range) => index < range.end && end > range.start)) {
+        ranges.push({ start: index, end });
+      }
+      index = lower.indexOf(term, end);
+    }
+  });
+  return ranges.sort((a, b) => a.start - b.start);
+};
+
+// Plain-text snippet around the first match; `highlights` are offsets into
+// the snippet, so clients can mark them up without trusting HTML
+const buildSnippet = (text, terms) => {
+  const matches = findMatches(text, terms);
+  const first = matches[0]?.start || 0;
+  const start = Math.max(
+    0,
+    Math.min(first - SNIPPET_LENGTH / 4, text.length - SNIPPET_LENGTH)
+  );
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? "…" : "";
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${
+      end < text.length ? "…" : ""
+    }`,
+    highlights: matches
+      .filter((match) => match.start >= start && match.end <= end)
+      .map((match) => ({
+        start: match.start - start + prefix.length,
+        end: match.end - start + prefix.length,
+      })),
+  };
+};
+
+// Cursors wrap the ID of the last hit returned (hits come newest first)
+const encodeCursor = (messageId) =>
+  Buffer.from(JSON.stringify({ before: messageId })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { before } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return /^[1-9]\d*$/.test(String(before)) ? before : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Visible to the user: in one of their channels
+const isVisibleHit = (message, channelIds) =>
+  channelIds.includes(String(message.channel_id));
+
+module.exports = {
+  searchTerms,
+  buildSnippet,
+  encodeCursor,
+  decodeCursor,
+  isVisibleHit,
+};
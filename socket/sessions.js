@@ -0,0 +1,102 @@
+// node-server/socket/sessions.js
+// Live-session tracking: every socket joins a `session_<tokenHash>` room so a
+// token can be expired on whichever node its sockets live, and a periodic
+// monitor revalidates the tokens of this node's sockets against PHP.
+const config = require("../config");
+const {
+  hashToken,
+  getTokenExpiry,
+  validateTokenCached,
+  revokeTokenHash,
+} = require("../services/tokenCache");
+
+const sessionRoom = (tokenHash) => `session_${tokenHash}`;
+
+// Records the (new) token on the socket and moves it to the matching session room
+const trackSession = (socket, token, userData) => {
+  if (socket.data.tokenHash) {
+    socket.leave(sessionRoom(socket.data.tokenHash));
+  }
+  socket.token = token;
+  socket.userData = userData;
+  socket.data.userId = userData.id;
+  socket.data.tokenHash = hashToken(token);
+  socket.tokenValidatedAt = Date.now();
+  socket.tokenExpiresAt = getTokenExpiry(userData);
+  socket.join(sessionRoom(socket.data.tokenHash));
+};
+
+// Tells every socket using the token (on any node) that its session ended, then disconnects them
+const expireSession = (io, tokenHash, reason) => {
+  const room = sessionRoom(tokenHash);
+  io.to(room).emit("sessionExpired", { reason });
+  io.in(room).disconnectSockets(true);
+};
+
+const revalidateLocalSessions = async (io) => {
+  // Group this node's sockets by token, one PHP call per distinct token
+  const tokens = new Map();
+  io.of("/").sockets.forEach((socket) => {
+    if (!socket.data.tokenHash) return;
+    if (!tokens.has(socket.data.tokenHash)) {
+      tokens.set(socket.data.tokenHash, socket);
+    }
+  });
+
+  for (const [tokenHash, socket] of tokens) {
+    if (socket.tokenExpiresAt !== null && socket.tokenExpiresAt <= Date.now()) {
+      expireSession(io, tokenHash, "expired");
+      continue;
+    }
+    try {
+      const userData = await validateTokenCached(socket.token, {
+        bypassCache: true,
+      });
+      if (String(userData.id) !== String(socket.data.userId)) {
+        await revokeTokenHash(tokenHash);
+        expireSession(io, tokenHash, "invalid");
+      }
+    } catch (error) {
+      if (error.isAuthFailure) {
+        await revokeTokenHash(tokenHash);
+        expireSession(io, tokenHash, "invalid");
+      } else {
+        // PHP unreachable: keep the session, try again next round
+        console.warn(
+          `[Sessions] Could not revalidate a token: ${error.message}`
+        );
+      }
+    }
+  }
+};
+
+let monitorTimer = null;
+
+const startSessionMonitor = (io) => {
+  if (monitorTimer) return;
+  let running = false;
+  monitorTimer = setInterval(async () => {
+    if (running) return; // Previous round still going (slow PHP)
+    running = true;
+    try {
+      await revalidateLocalSessions(io);
+    } catch (error) {
+      console.error(`[Sessions] Revalidation round failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }, config.tokenRevalidateIntervalMs);
+  monitorTimer.unref();
+};
+
+const stopSessionMonitor = () => {
+  clearInterval(monitorTimer);
+  monitorTimer = null;
+};
+
+module.exports = {
+  trackSession,
+  expireSession,
+  startSessionMonitor,
+  stopSessionMonitor,
+};
@@ -0,0 +1,121 @@
+// node-server/socket/threads.js
+// Threads: replies to a parent message (sendMessage with parentMessageId) stay
+// out of the channel timeline. Instead of newMessage they go out as
+// threadMessage to the thread's participants who are still channel members,
+// and the parent gets a messageUpdated carrying the thread summary (reply
+// count, last reply), so timelines update their "N replies" line.
+// Quoted replies (replyToMessageId) are ordinary timeline messages.
+const { emitToChannel, userRoom } = require("./broadcast");
+const { fetchMessageWindow } = require("./messageHistory");
+const { SOCKET_EVENTS } = require("./events");
+const { getChannelDetails } = require("../services/hotCache");
+const {
+  rememberChannelMembers,
+  getCachedChannelMembers,
+} = require("../cluster/channelMembers");
+const threadStore = require("../cluster/threadStore");
+
+const threadRepliesPath = (channelId, parentMessageId) =>
+  `/user/channels/${channelId}/messages/${parentMessageId}/replies`;
+
+// Parent author as far as PHP tells us (reply or thread payloads)
+const parentAuthorId = (data) =>
+  data?.parent_message?.user_id ?? data?.parent_user_id ?? null;
+
+// Member IDs (strings) of the channel, or null when they cannot be resolved
+// (no cached member list and no token to ask PHP with)
+const channelMemberIds = async (userId, token, channelId) => {
+  const cached = await getCachedChannelMembers(channelId);
+  if (cached) return cached.map((member) => String(member.id));
+  if (!token) return null;
+  const response = await getChannelDetails(userId, token, channelId);
+  if (!response?.success || !Array.isArray(response.data?.users)) return null;
+  await rememberChannelMembers(response.data);
+  return response.data.users.map((user) => String(user.id));
+};
+
+// Announces a new thread reply. `token` may be null (PHP domain events).
+// Resolves with the thread summary.
+const publishThreadReply = async (
+  io,
+  { channelId, parentMessageId, reply, idempotencyKey, senderId, token }
+) => {
+  await threadStore.addThreadParticipants(parentMessageId, [
+    senderId,
+    parentAuthorId(reply),
+  ]);
+  const thread = await threadStore.recordThreadReply(
+    parentMessageId,
+    reply,
+    reply.thread_reply_count
+  );
+
+  const payload = {
+    channelId,
+    parentMessageId,
+    message: reply,
+    idempotencyKey,
+    thread,
+  };
+  const [participantIds, memberIds] = await Promise.all([
+    threadStore.getThreadParticipants(parentMessageId),
+    channelMemberIds(senderId, token, channelId),
+  ]);
+  if (memberIds) {
+    const recipients = participantIds.filter((id) => memberIds.includes(id));
+    if (recipients.length > 0) {
+      io.to(recipients.map(userRoom)).emit(
+        SOCKET_EVENTS.THREAD_MESSAGE,
+        payload
+      );
+    }
+  } else {
+    // Unknown membership: members only, even if that is everyone
+    io.to(`channel_${channelId}`).emit(SOCKET_EVENTS.THREAD_MESSAGE, payload);
+  }
+
+  await emitToChannel(io, channelId, "messageUpdated", {
+    channelId,
+    message: { id: parentMessageId, thread },
+    partial: true, // Only `thread` changed; merge into the client's copy
+  });
+  return thread;
+};
+
+// A window of thread replies (oldest first, same cursors as getMessages;
+// without a cursor the thread starts from its first reply). Opening a thread
+// makes the user a participant, so they hear about later replies.
+const loadThread = async (
+  token,
+  userId,
+  { channelId, parentMessageId, before, after, around, limit }
+) => {
+  const fromStart =
+    before === undefined && after === undefined && around === undefined;
+  const window = await fetchMessageWindow(
+    token,
+    threadRepliesPath(channelId, parentMessageId),
+    { before, after: fromStart ? 0 : after, around, limit }
+  );
+  if (window.error) return window;
+  if (fromStart) {
+    window.hasMoreBefore = false;
+    window.cursors.before = null;
+  }
+
+  const data = window.messagesData;
+  await threadStore.addThreadParticipants(parentMessageId, [
+    userId,
+    parentAuthorId(data),
+  ]);
+  const thread = Number.isInteger(data.reply_count)
+    ? await threadStore.syncThreadReplyCount(parentMessageId, data.reply_count)
+    : await threadStore.getThreadSummary(parentMessageId);
+  return {
+    ...window,
+    parentMessage: data.parent_message || null,
+    thread,
+  };
+};
+
+module.exports = { publishThreadReply, loadThread };
@@ -0,0 +1,119 @@
+// node-server/socket/typing.js
+// Typing indicators with server-side state. Who is typing lives in the cluster
+// store (typing:<channelId> hash, userId -> { userName, expiresAt, relayedAt,
+// socketId }, socketId being the device that refreshed it last)
+// so any node can answer a typingUsers snapshot. Each typing socket has a local
+// expiry timer, so a crashed client cannot leave "typing..." up forever, and
+// repeated startTyping within the throttle window only extends the expiry.
+const config = require("../config");
+const { getDriver } = require("../cluster");
+const { SOCKET_EVENTS } = require("./events");
+
+const typingKey = (channelId) => `typing:${channelId}`;
+const channelRoom = (channelId) => `channel_${channelId}`;
+
+const readEntry = async (channelId, userId) => {
+  const raw = await getDriver().hGet(typingKey(channelId), String(userId));
+  return raw ? JSON.parse(raw) : null;
+};
+
+// socket.data.typingTimers: String(channelId) -> { timer, channelId } for this socket
+const timersOf = (socket) => {
+  if (!socket.data.typingTimers) socket.data.typingTimers = new Map();
+  return socket.data.typingTimers;
+};
+
+// Clears this socket's typing state. The user's entry is shared by their
+// devices, so it is only removed while this socket owns it or it has expired:
+// another device that is still typing keeps it (and its own expiry timer).
+const clearTypingState = async (io, socket, userId, channelId) => {
+  const timers = timersOf(socket);
+  clearTimeout(timers.get(String(channelId))?.timer);
+  timers.delete(String(channelId));
+
+  const entry = await readEntry(channelId, userId);
+  if (!entry) return;
+  if (entry.socketId !== socket.id && entry.expiresAt > Date.now()) return;
+
+  const removed = await getDriver().hDel(typingKey(channelId), String(userId));
+  if (removed) {
+    io.to(channelRoom(channelId)).emit(SOCKET_EVENTS.USER_STOPPED_TYPING, {
+      channelId,
+      userId,
+    });
+  }
+};
+
+const startTyping = async (io, socket, { userId, userName }, channelId) => {
+  const now = Date.now();
+  const existing = await readEntry(channelId, userId);
+  const relay =
+    !existing ||
+    existing.expiresAt <= now ||
+    now - existing.relayedAt >= config.typingThrottleMs;
+
+  await getDriver().hSet(
+    typingKey(channelId),
+    String(userId),
+    JSON.stringify({
+      userName,
+      expiresAt: now + config.typingTimeoutMs,
+      relayedAt: relay ? now : existing.relayedAt,
+      socketId: socket.id,
+    })
+  );
+
+  const timers = timersOf(socket);
+  clearTimeout(timers.get(String(channelId))?.timer);
+  const timer = setTimeout(() => {
+    clearTypingState(io, socket, userId, channelId).catch((error) => {
+      console.error(
+        `[Typing] Failed to expire typing of ${userId} in ${channelId}: ${error.message}`
+      );
+    });
+  }, config.typingTimeoutMs);
+  timer.unref();
+  timers.set(String(channelId), { timer, channelId });
+
+  if (relay) {
+    socket.to(channelRoom(channelId)).emit(SOCKET_EVENTS.USER_TYPING, {
+      channelId,
+      userId,
+      userName, // Send name for display
+    });
+  }
+};
+
+const stopTyping = (io, socket, userId, channelId) =>
+  clearTypingState(io, socket, userId, channelId);
+
+// Stops everything this socket was typing in (on disconnect)
+const stopAllTyping = (io, socket, userId) =>
+  Promise.all(
+    [...timersOf(socket).values()].map(({ channelId }) =>
+      clearTypingState(io, socket, userId, channelId)
+    )
+  );
+
+// [{ userId, userName }] currently typing in the channel; expired entries
+// (e.g. left by a node that died) are pruned on the way
+const getTypingUsers = async (channelId) => {
+  const driver = getDriver();
+  const entries = await driver.hGetAll(typingKey(channelId));
+  const now = Date.now();
+  const typingUsers = [];
+
+  await Promise.all(
+    Object.entries(entries).map(async ([userId, raw]) => {
+      const entry = JSON.parse(raw);
+      if (entry.expiresAt > now) {
+        typingUsers.push({ userId, userName: entry.userName });
+      } else {
+        await driver.hDel(typingKey(channelId), userId);
+      }
+    })
+  );
+  return typingUsers;
+};
+
+module.exports = { startTyping, stopTyping, stopAllTyping, getTypingUsers };
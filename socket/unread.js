@@ -0,0 +1,126 @@
+// node-server/socket/unread.js
+// Keeps the unread/mention counters (cluster/unreadCounters.js) up to date and
+// pushes every change to all of the user's devices as unreadCountUpdated.
+const { makePhpRequest } = require("../services/phpApiService");
+const {
+  rememberChannelMembers,
+  getCachedChannelMembers,
+} = require("../cluster/channelMembers");
+const { getLatestMessageId } = require("../cluster/receiptStore");
+const counters = require("../cluster/unreadCounters");
+const { emitToUser } = require("./broadcast");
+const { SOCKET_EVENTS } = require("./events");
+
+const pushCounts = (io, userId, channelId, counts) =>
+  emitToUser(io, userId, SOCKET_EVENTS.UNREAD_COUNT_UPDATED, {
+    channelId,
+    ...counts,
+  });
+
+// Members from the cache, else from PHP when a token is available
+const resolveMembers = async (channelId, token) => {
+  const cached = await getCachedChannelMembers(channelId);
+  if (cached || !token) return cached || [];
+  const response = await makePhpRequest(
+    "get",
+    `/user/channels/${channelId}`,
+    token
+  );
+  if (!response?.success) return [];
+  await rememberChannelMembers(response.data);
+  return (await getCachedChannelMembers(channelId)) || [];
+};
+
+// PHP may list mentions explicitly; otherwise match @username against members
+const mentionedUserIds = (message, members) => {
+  if (Array.isArray(message.mentioned_user_ids)) {
+    return new Set(message.mentioned_user_ids.map(String));
+  }
+  const names = new Set(
+    [...String(message.message || "").matchAll(/@([\w.-]+)/g)].map((match) =>
+      match[1].toLowerCase()
+    )
+  );
+  return new Set(
+    members
+      .filter(
+        (member) => member.username && names.has(member.username.toLowerCase())
+      )
+      .map((member) => String(member.id))
+  );
+};
+
+// A new message counts as unread for every member except its sender
+const countNewMessage = async (io, channelId, message, senderId, token) => {
+  const members = await resolveMembers(channelId, token);
+  const mentioned = mentionedUserIds(message, members);
+  await Promise.all(
+    members
+      .filter((member) => String(member.id) !== String(senderId))
+      .map(async (member) => {
+        const counts = await counters.incrementCounts(
+          member.id,
+          channelId,
+          mentioned.has(String(member.id))
+        );
+        await pushCounts(io, member.id, channelId, counts);
+      })
+  );
+};
+
+const countChannelRead = async (io, userId, channelId) => {
+  const counts = await counters.resetCounts(userId, channelId);
+  await pushCounts(io, userId, channelId, counts);
+};
+
+// Per-message reads: reading up to the newest message clears everything,
+// otherwise only the messages above the previous read watermark `readUpTo`
+// are subtracted (re-sent receipts and other devices' reads count once)
+const countMessagesRead = async (
+  io,
+  userId,
+  channelId,
+  messageIds,
+  readUpTo = 0
+) => {
+  const newlyRead = messageIds.filter(
+    (messageId) => Number(messageId) > readUpTo
+  );
+  if (newlyRead.length === 0) return;
+  const latest = await getLatestMessageId(channelId);
+  const highest = Math.max(...newlyRead.map(Number));
+  const counts =
+    latest && highest >= latest
+      ? await counters.resetCounts(userId, channelId)
+      : await counters.decrementUnread(userId, channelId, newlyRead.length);
+  await pushCounts(io, userId, channelId, counts);
+};
+
+// getChannels: seed the counters (and member cache) from PHP's channel list,
+// then resolve with { [channelId]: { unreadCount, mentionCount } }
+const seedFromChannels = async (userId, channels) => {
+  await Promise.all(
+    channels
+      .filter((channel) => channel?.id)
+      .map((channel) =>
+        Promise.all([
+          counters.seedCounts(userId, channel.id, {
+            unreadCount: channel.unread_count,
+            mentionCount: channel.unread_mentions_count,
+          }),
+          rememberChannelMembers(channel),
+        ])
+      )
+  );
+  return counters.getCountsForChannels(
+    userId,
+    channels.filter((channel) => channel?.id).map((channel) => channel.id)
+  );
+};
+
+module.exports = {
+  countNewMessage,
+  countChannelRead,
+  countMessagesRead,
+  seedFromChannels,
+};
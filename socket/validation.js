@@ -0,0 +1,156 @@
+// node-server/socket/validation.js
+// Validates incoming socket event payloads against the catalog in
+// socket/events.js. Installed with socket.use, so it runs before any handler:
+// bad input is rejected with one error shape, and handlers of ack events always
+// receive a callable callback.
+const { EVENT_CATALOG } = require("./events");
+
+const isId = (value) =>
+  (Number.isInteger(value) && value > 0) ||
+  (typeof value === "string" && /^[1-9]\d*$/.test(value));
+
+// Returns an error message for the field, or null when it is valid
+const checkField = (name, rule, value) => {
+  if (value === undefined) {
+    return rule.required ? `${name} is required` : null;
+  }
+  if (value === null) {
+    return rule.nullable ? null : `${name} must not be null`;
+  }
+
+  switch (rule.type) {
+    case "id":
+      return isId(value) ? null : `${name} must be a valid ID`;
+    case "string":
+      if (typeof value !== "string") return `${name} must be a string`;
+      if (rule.minLength !== undefined && value.length < rule.minLength)
+        return `${name} must be at least ${rule.minLength} characters`;
+      if (rule.maxLength !== undefined && value.length > rule.maxLength)
+        return `${name} must be at most ${rule.maxLength} characters`;
+      return null;
+    case "integer":
+      if (!Number.isInteger(value)) return `${name} must be an integer`;
+      if (rule.min !== undefined && value < rule.min)
+        return `${name} must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max)
+        return `${name} must be at most ${rule.max}`;
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : `${name} must be a boolean`;
+    case "enum":
+      return rule.values.includes(value)
+        ? null
+        : `${name} must be one of ${rule.values.join(", ")}`;
+    case "object":
+      return typeof value === "object" && !Array.isArray(value)
+        ? null
+        : `${name} must be an object`;
+    case "array": {
+      if (!Array.isArray(value)) return `${name} must be an array`;
+      if (rule.minItems !== undefined && value.length < rule.minItems)
+        return `${name} must contain at least ${rule.minItems} item(s)`;
+      if (rule.maxItems !== undefined && value.length > rule.maxItems)
+        return `${name} must contain at most ${rule.maxItems} items`;
+      if (!rule.items) return null;
+      for (let index = 0; index < value.length; index++) {
+        const itemError = checkField(
+          `${name}[${index}]`,
+          rule.items,
+          value[index]
+        );
+        if (itemError) return itemError;
+      }
+      return null;
+    }
+    default:
+      return `${name} has an unknown rule type "${rule.type}"`;
+  }
+};
+
+// Validates a payload against an event's catalog entry. Resolves to null or an error response.
+const validatePayload = (event, payload) => {
+  const entry = EVENT_CATALOG[event];
+  if (!entry) {
+    return {
+      success: false,
+      error: `Unknown event "${event}".`,
+      code: "UNKNOWN_EVENT",
+    };
+  }
+  if (
+    typeof payload !== "object" ||
+    payload === null ||
+    Array.isArray(payload)
+  ) {
+    return {
+      success: false,
+      error: "Invalid payload: expected an object.",
+      code: "INVALID_INPUT",
+      details: [],
+    };
+  }
+
+  const details = Object.entries(entry.payload)
+    .map(([field, rule]) => ({
+      field,
+      message: checkField(field, rule, payload[field]),
+    }))
+    .filter((detail) => detail.message !== null);
+
+  if (
+    entry.requireOneOf &&
+    entry.requireOneOf.every((field) => payload[field] === undefined)
+  ) {
+    details.push({
+      field: entry.requireOneOf.join("|"),
+      message: `One of ${entry.requireOneOf.join(", ")} is required`,
+    });
+  }
+
+  if (
+    entry.allowOneOf &&
+    entry.allowOneOf.filter((field) => payload[field] !== undefined).length > 1
+  ) {
+    details.push({
+      field: entry.allowOneOf.join("|"),
+      message: `Only one of ${entry.allowOneOf.join(", ")} may be given`,
+    });
+  }
+
+  if (details.length === 0) return null;
+  return {
+    success: false,
+    error: `Invalid payload: ${details.map((d) => d.message).join("; ")}`,
+    code: "INVALID_INPUT",
+    details,
+  };
+};
+
+const noop = () => {};
+
+// Socket middleware. Normalizes the packet in place to [event, payload, callback?]:
+// `getChannels(cb)` becomes `getChannels({}, cb)`, and ack events get a no-op
+// callback when the client did not send one.
+const createValidationMiddleware = (socket) => (packet, next) => {
+  const [event, ...args] = packet;
+  const ack =
+    typeof args[args.length - 1] === "function" ? args.pop() : undefined;
+  const payload = args.length > 0 && args[0] !== undefined ? args[0] : {};
+
+  const errorResponse = validatePayload(event, payload);
+  if (errorResponse) {
+    console.warn(
+      `[Socket ${socket.id}][${event}] Rejected: ${errorResponse.error}`
+    );
+    if (ack) ack(errorResponse);
+    return;
+  }
+
+  const entry = EVENT_CATALOG[event];
+  const normalized =
+    entry.ack === "none" ? [event, payload] : [event, payload, ack || noop];
+  packet.splice(0, packet.length, ...normalized);
+  next();
+};
+
+module.exports = { validatePayload, createValidationMiddleware };
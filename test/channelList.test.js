@@ -0,0 +1,130 @@
+// node-server/test/channelList.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  teardown,
+  createFakePhp,
+  createFakeIo,
+  wait,
+} = require("./helpers");
+const {
+  queryChannels,
+  channelsChangedSince,
+} = require("../socket/channelList");
+const {
+  addUserToChannel,
+  removeUserFromChannel,
+} = require("../socket/broadcast");
+const {
+  recordTombstone,
+  getChannelJoinsSince,
+  getTombstonesSince,
+} = require("../cluster/channelTombstones");
+const config = require("../config");
+
+const php = createFakePhp();
+before(() => setup(php));
+after(() => teardown(php));
+
+const channels = [
+  { id: 1, name: "alpha", is_group: 1, created_at: "2026-01-01T00:00:00Z" },
+  { id: 2, name: "bravo", is_group: 0, created_at: "2026-01-03T00:00:00Z" },
+  {
+    id: 3,
+    name: "charlie",
+    is_group: 1,
+    created_at: "2026-01-02T00:00:00Z",
+    archived_at: "2026-02-01T00:00:00Z",
+  },
+];
+
+test("channels page by cursor in activity order", () => {
+  const first = queryChannels(channels, { limit: 2 }, {});
+  assert.deepEqual(
+    first.channels.map((c) => c.id),
+    [2, 3]
+  );
+  const second = queryChannels(
+    channels,
+    { limit: 2, cursor: first.nextCursor },
+    {}
+  );
+  assert.deepEqual(
+    second.channels.map((c) => c.id),
+    [1]
+  );
+  assert.equal(second.nextCursor, null);
+  assert.deepEqual(queryChannels(channels, { cursor: "bogus" }, {}), {
+    error: "Invalid cursor",
+  });
+});
+
+test("filters and name sort apply before paging", () => {
+  const groups = queryChannels(
+    channels,
+    { type: "group", archived: false },
+    {}
+  );
+  assert.deepEqual(
+    groups.channels.map((c) => c.id),
+    [1]
+  );
+  const unread = queryChannels(
+    channels,
+    { unreadOnly: true, sort: "name" },
+    {
+      3: { unreadCount: 2 },
+    }
+  );
+  assert.deepEqual(
+    unread.channels.map((c) => c.id),
+    [3]
+  );
+});
+
+test("syncChannels reports changed channels, joins and removals since a time", async () => {
+  const io = createFakeIo();
+  const since = Date.now();
+  await wait(2);
+  await addUserToChannel(io, 7, 1);
+  await removeUserFromChannel(io, 7, 2, "removed");
+
+  const joined = await getChannelJoinsSince(7, since);
+  assert.deepEqual([...joined], ["1"]);
+  assert.deepEqual(
+    channelsChangedSince(
+      channels,
+      Date.parse("2026-01-02T12:00:00Z"),
+      joined
+    ).map((c) => c.id),
+    [1, 2]
+  );
+  assert.deepEqual(
+    channelsChangedSince(
+      channels,
+      Date.parse("2026-03-01T00:00:00Z"),
+      joined
+    ).map((c) => c.id),
+    [1]
+  );
+  const [tombstone] = await getTombstonesSince(7, since);
+  assert.deepEqual([tombstone.channelId, tombstone.reason], [2, "removed"]);
+});
+
+test("tombstones trimmed by the cap since a time are reported as unknown", async () => {
+  const since = Date.now();
+  await wait(2);
+  await recordTombstone(8, 1, "left");
+  assert.equal((await getTombstonesSince(8, since)).length, 1);
+
+  for (let i = 0; i < config.channelTombstoneLimit; i++) {
+    await recordTombstone(8, 100 + i, "left");
+  }
+  assert.equal(await getTombstonesSince(8, since), null);
+  assert.equal(
+    (await getTombstonesSince(8, Date.now())).length,
+    0,
+    "nothing newer than now was trimmed"
+  );
+});
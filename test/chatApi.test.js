@@ -0,0 +1,104 @@
+// node-server/test/chatApi.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { setup, teardown, createFakePhp, createFakeIo } = require("./helpers");
+const { createChatApiRouter } = require("../routes/chatApi");
+
+const php = createFakePhp();
+const io = createFakeIo();
+let server;
+let baseUrl;
+let nextMessageId = 100;
+
+php.on("get", "/user", ({ token }) => {
+  if (token === "bot-token") {
+    return { success: true, data: { id: 7, username: "bot" } };
+  }
+  if (token === "revoked") return { success: false, message: "Revoked" };
+  return { status: 401, body: { success: false, message: "Unauthenticated" } };
+});
+php.on("post", "/user/channels/1/messages", () => ({
+  success: true,
+  data: { id: ++nextMessageId, channel_id: 1, user_id: 7, message: "hi" },
+}));
+php.on("get", "/user/channels/1", () => ({
+  success: true,
+  data: { id: 1, users: [{ id: 7 }, { id: 8 }] },
+}));
+
+before(async () => {
+  await setup(php);
+  const app = express();
+  app.use(express.json());
+  app.use("/api", createChatApiRouter(io));
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await teardown(php);
+});
+
+const post = (path, body, headers = {}) =>
+  fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: "Bearer bot-token",
+      ...headers,
+    },
+    body: JSON.stringify(body),
+  });
+
+test("requests without a valid bearer token are rejected", async () => {
+  const response = await fetch(`${baseUrl}/channels/1/pins`);
+  assert.equal(response.status, 401);
+  const invalid = await post(
+    "/channels/1/messages",
+    { message: "hi" },
+    {
+      Authorization: "Bearer wrong",
+    }
+  );
+  assert.equal(invalid.status, 401);
+  const rejected = await post(
+    "/channels/1/messages",
+    { message: "hi" },
+    { Authorization: "Bearer revoked" }
+  );
+  assert.equal(rejected.status, 401);
+});
+
+test("sending over REST broadcasts newMessage like a socket send", async () => {
+  const response = await post("/channels/1/messages", { message: "hi" });
+  assert.equal(response.status, 201);
+  const body = await response.json();
+  assert.equal(body.success, true);
+  const [broadcast] = io.eventsNamed("newMessage");
+  assert.deepEqual(broadcast.rooms, ["channel_1"]);
+  assert.equal(broadcast.data.message.id, body.message.id);
+});
+
+test("the payload is validated against the socket event catalog", async () => {
+  const response = await post("/channels/1/messages", {});
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).code, "INVALID_INPUT");
+});
+
+test("the Idempotency-Key header dedupes retries", async () => {
+  const headers = { "Idempotency-Key": "rest-1" };
+  const first = await (
+    await post("/channels/1/messages", { message: "a" }, headers)
+  ).json();
+  const retry = await (
+    await post("/channels/1/messages", { message: "a" }, headers)
+  ).json();
+  assert.equal(retry.duplicate, true);
+  assert.equal(retry.message.id, first.message.id);
+
+  const reused = await post("/channels/1/messages", { message: "b" }, headers);
+  assert.equal(reused.status, 409);
+});
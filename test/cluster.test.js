@@ -0,0 +1,74 @@
+// node-server/test/cluster.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  teardown,
+  createFakeIo,
+  createFakeSocket,
+  wait,
+} = require("./helpers");
+const presenceRegistry = require("../cluster/presenceRegistry");
+const {
+  registerPresenceSocket,
+  releasePresenceSocket,
+} = require("../socket/presence");
+const { getDriver, getLiveNodeIds } = require("../cluster");
+
+before(() => setup());
+after(() => teardown());
+
+test("this node heartbeats into the live node set", async () => {
+  assert.ok((await getLiveNodeIds()).has("test-node"));
+});
+
+test("of two devices connecting at once exactly one is the first", async () => {
+  const counts = await Promise.all([
+    presenceRegistry.addSocket(1, "socket-a"),
+    presenceRegistry.addSocket(1, "socket-b"),
+  ]);
+  assert.deepEqual([...counts].sort(), [1, 2]);
+  assert.equal(await presenceRegistry.getSocketCount(1), 2);
+});
+
+test("of two devices disconnecting at once exactly one is the last", async () => {
+  const counts = await Promise.all([
+    presenceRegistry.removeSocket(1, "socket-a"),
+    presenceRegistry.removeSocket(1, "socket-b"),
+  ]);
+  assert.deepEqual([...counts].sort(), [0, 1]);
+  assert.equal(await presenceRegistry.isOnline(1), false);
+});
+
+test("removing a socket that is already gone reports no transition", async () => {
+  assert.equal(await presenceRegistry.removeSocket(1, "socket-a"), null);
+});
+
+test("sockets of dead nodes are pruned and not counted", async () => {
+  await getDriver().hSet(
+    "presence:user:2",
+    "ghost",
+    JSON.stringify({ nodeId: "dead-node" })
+  );
+  assert.equal(await presenceRegistry.addSocket(2, "socket-c"), 1);
+  assert.deepEqual(await presenceRegistry.getUserSocketIds(2), ["socket-c"]);
+});
+
+test("a socket that disconnects while registering is not left online", async () => {
+  // A slow store write: the disconnect arrives before the add has landed
+  const driver = getDriver();
+  const hSetCount = driver.hSetCount;
+  driver.hSetCount = async (...args) => {
+    await wait(20);
+    return hSetCount(...args);
+  };
+  const socket = createFakeSocket("socket-quick", 3);
+  const registration = registerPresenceSocket(createFakeIo(), socket, 3);
+  socket.connected = false;
+  const remaining = await releasePresenceSocket(socket, 3);
+  await registration;
+  driver.hSetCount = hSetCount;
+
+  assert.equal(remaining, 0);
+  assert.equal(await presenceRegistry.isOnline(3), false);
+});
@@ -0,0 +1,42 @@
+// node-server/test/drafts.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  teardown,
+  createFakePhp,
+  createFakeIo,
+  createFakeSocket,
+} = require("./helpers");
+const { setDraft, getDrafts, deleteDraft } = require("../cluster/draftStore");
+const { emitToUser, emitToOtherDevices } = require("../socket/broadcast");
+
+const php = createFakePhp();
+before(() => setup(php));
+after(() => teardown(php));
+
+test("drafts are shared per user and cleared by empty text", async () => {
+  await setDraft(1, 4, "hello");
+  await setDraft(1, 5, "world");
+  const drafts = await getDrafts(1);
+  assert.deepEqual(Object.keys(drafts).sort(), ["4", "5"]);
+  assert.equal(drafts[4].text, "hello");
+
+  await setDraft(1, 4, "");
+  await deleteDraft(1, 5);
+  assert.deepEqual(await getDrafts(1), {});
+  assert.deepEqual(await getDrafts(2), {});
+});
+
+test("user events go to the personal room; other-device sync skips the sender", async () => {
+  const io = createFakeIo();
+  await emitToUser(io, 1, "draftUpdated", { channelId: 4 });
+  assert.deepEqual(io.emitted, [
+    { rooms: ["user_1"], event: "draftUpdated", data: { channelId: 4 } },
+  ]);
+
+  const socket = createFakeSocket("d1", 1);
+  emitToOtherDevices(socket, 1, "draftUpdated", { channelId: 4 });
+  // socket.to() broadcasts exclude the socket itself
+  assert.deepEqual(socket.emitted[0].rooms, ["user_1"]);
+});
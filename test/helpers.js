@@ -0,0 +1,146 @@
+// node-server/test/helpers.js
+// Shared setup for the behaviour tests (`npm test`, node --test). Every test
+// file runs in its own process with the in-memory cluster driver, a fake PHP
+// backend on a local port and a stand-in for the Socket.IO server that records
+// what was emitted. Require this before any server module: config reads the
+// environment once.
+const http = require("http");
+
+const PHP_PORT = 20000 + (process.pid % 20000);
+process.env.PHP_BACKEND_URL = `http://127.0.0.1:${PHP_PORT}`;
+process.env.PHP_API_KEY = "test-secret";
+process.env.CLUSTER_DRIVER = "memory";
+process.env.NODE_ID = "test-node";
+
+const { initCluster, closeCluster } = require("../cluster");
+
+// Fake PHP backend. Routes are "<method> <path>" (path without query string)
+// mapped to handlers that get { query, body, token } and return the JSON body,
+// or { status, body } for another status. Unknown routes answer 404.
+const createFakePhp = () => {
+  const routes = new Map();
+  const calls = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://localhost");
+      const token = (req.headers.authorization || "").replace("Bearer ", "");
+      let body = raw;
+      if ((req.headers["content-type"] || "").includes("application/json")) {
+        body = raw ? JSON.parse(raw) : {};
+      }
+      const call = {
+        method: req.method.toLowerCase(),
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        body,
+        token,
+      };
+      calls.push(call);
+
+      const handler = routes.get(`${call.method} ${call.path}`);
+      let status = 404;
+      let payload = { success: false, message: "Not found" };
+      if (handler) {
+        const result = await handler(call);
+        if (result && result.status !== undefined && "body" in result) {
+          ({ status, body: payload } = result);
+        } else {
+          status = 200;
+          payload = result;
+        }
+      }
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return {
+    calls,
+    on: (method, path, handler) => routes.set(`${method} ${path}`, handler),
+    callsTo: (method, path) =>
+      calls.filter((call) => call.method === method && call.path === path),
+    start: () =>
+      new Promise((resolve) => server.listen(PHP_PORT, "127.0.0.1", resolve)),
+    stop: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+// Stand-in for the Socket.IO server: records emits and room changes
+const createFakeIo = ({ sockets = [] } = {}) => {
+  const emitted = [];
+  const roomChanges = [];
+  const target = (rooms) => {
+    const list = [].concat(rooms);
+    return {
+      emit: (event, data) => emitted.push({ rooms: list, event, data }),
+      except: () => target(list),
+      socketsJoin: (room) => roomChanges.push({ rooms: list, join: room }),
+      socketsLeave: (room) => roomChanges.push({ rooms: list, leave: room }),
+      disconnectSockets: () =>
+        roomChanges.push({ rooms: list, disconnect: true }),
+      fetchSockets: async () => sockets,
+    };
+  };
+  return {
+    emitted,
+    roomChanges,
+    to: target,
+    in: target,
+    socketsLeave: (room) => roomChanges.push({ rooms: ["*"], leave: room }),
+    of: () => ({ sockets: new Map() }),
+    eventsNamed: (event) => emitted.filter((entry) => entry.event === event),
+  };
+};
+
+// Minimal socket for code that keeps per-socket state
+const createFakeSocket = (id, userId, token = `token-${userId}`) => {
+  const io = createFakeIo();
+  const rooms = new Set([id]);
+  const sent = [];
+  const socket = {
+    id,
+    token,
+    userData: { id: userId },
+    data: {},
+    rooms,
+    connected: true,
+    handshake: { auth: {}, headers: {} },
+    join: (room) => [].concat(room).forEach((name) => rooms.add(name)),
+    leave: (room) => rooms.delete(room),
+    to: io.to,
+    emitted: io.emitted,
+    sent,
+    emit: (event, data) => sent.push({ event, data }),
+    disconnect: () => {
+      socket.connected = false;
+    },
+  };
+  return socket;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Starts the cluster layer (and optionally the fake PHP) for a test file
+const setup = async (php) => {
+  await initCluster();
+  if (php) await php.start();
+};
+
+const teardown = async (php) => {
+  if (php) await php.stop();
+  await closeCluster();
+};
+
+module.exports = {
+  createFakePhp,
+  createFakeIo,
+  createFakeSocket,
+  wait,
+  setup,
+  teardown,
+};
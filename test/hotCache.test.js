@@ -0,0 +1,44 @@
+// node-server/test/hotCache.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, createFakePhp, createFakeIo } = require("./helpers");
+const {
+  getUserChannels,
+  getChannelDetails,
+  getCacheStats,
+} = require("../services/hotCache");
+const { emitToChannel, addUserToChannel } = require("../socket/broadcast");
+
+const php = createFakePhp();
+php.on("get", "/user/channels", () => ({ success: true, data: [{ id: 1 }] }));
+php.on("get", "/user/channels/1", () => ({ success: true, data: { id: 1 } }));
+
+before(() => setup(php));
+after(() => teardown(php));
+
+test("repeated reads are served from the cache", async () => {
+  await getChannelDetails(1, "t", 1);
+  await getChannelDetails(1, "t", 1);
+  assert.equal(php.callsTo("get", "/user/channels/1").length, 1);
+  assert.ok(getCacheStats().hits >= 1);
+});
+
+test("a channel broadcast invalidates everything depending on the channel", async () => {
+  await getUserChannels(2, "t");
+  await getUserChannels(2, "t");
+  assert.equal(php.callsTo("get", "/user/channels").length, 1);
+
+  await emitToChannel(createFakeIo(), 1, "messageUpdated", { channelId: 1 });
+  await getUserChannels(2, "t");
+  await getChannelDetails(1, "t", 1);
+  assert.equal(php.callsTo("get", "/user/channels").length, 2);
+  assert.equal(php.callsTo("get", "/user/channels/1").length, 2);
+});
+
+test("membership changes invalidate the user's cached channel list", async () => {
+  await getUserChannels(3, "t");
+  await addUserToChannel(createFakeIo(), 3, 9);
+  const before = php.callsTo("get", "/user/channels").length;
+  await getUserChannels(3, "t");
+  assert.equal(php.callsTo("get", "/user/channels").length, before + 1);
+});
@@ -0,0 +1,91 @@
+// node-server/test/idempotency.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown } = require("./helpers");
+const {
+  runIdempotent,
+  isValidIdempotencyKey,
+} = require("../cluster/idempotency");
+
+before(() => setup());
+after(() => teardown());
+
+const counter = () => {
+  let runs = 0;
+  const operation = async () => {
+    runs += 1;
+    return { success: true, run: runs };
+  };
+  return { operation, runs: () => runs };
+};
+
+test("a retry with the same key and payload gets the original result", async () => {
+  const { operation, runs } = counter();
+  const first = await runIdempotent(
+    "1:sendMessage",
+    "k1",
+    ["1", "hi"],
+    operation
+  );
+  const retry = await runIdempotent(
+    "1:sendMessage",
+    "k1",
+    ["1", "hi"],
+    operation
+  );
+  assert.deepEqual(first, { success: true, run: 1 });
+  assert.deepEqual(retry, { success: true, run: 1, duplicate: true });
+  assert.equal(runs(), 1);
+});
+
+test("concurrent retries run the operation once", async () => {
+  const { operation, runs } = counter();
+  const results = await Promise.all([
+    runIdempotent("1:sendMessage", "k2", ["1", "hi"], operation),
+    runIdempotent("1:sendMessage", "k2", ["1", "hi"], operation),
+  ]);
+  assert.equal(runs(), 1);
+  assert.equal(results.filter((result) => result.duplicate).length, 1);
+});
+
+test("a key reused for a different payload is rejected", async () => {
+  const { operation, runs } = counter();
+  await runIdempotent("1:sendMessage", "k3", ["1", "hi"], operation);
+  const reused = await runIdempotent(
+    "1:sendMessage",
+    "k3",
+    ["2", "other"],
+    operation
+  );
+  assert.equal(reused.code, "IDEMPOTENCY_KEY_REUSED");
+  assert.equal(runs(), 1);
+});
+
+test("failures are not remembered, so they can be retried for real", async () => {
+  let attempts = 0;
+  const flaky = async () => {
+    attempts += 1;
+    return attempts === 1 ? { success: false } : { success: true };
+  };
+  assert.deepEqual(await runIdempotent("1:editMessage", "k4", [], flaky), {
+    success: false,
+  });
+  assert.deepEqual(await runIdempotent("1:editMessage", "k4", [], flaky), {
+    success: true,
+  });
+});
+
+test("keys are scoped per user and event", async () => {
+  const { operation, runs } = counter();
+  await runIdempotent("1:deleteMessage", "k5", [], operation);
+  await runIdempotent("2:deleteMessage", "k5", [], operation);
+  assert.equal(runs(), 2);
+});
+
+test("idempotency keys are short non-empty strings", () => {
+  assert.equal(isValidIdempotencyKey(undefined), true);
+  assert.equal(isValidIdempotencyKey("abc"), true);
+  assert.equal(isValidIdempotencyKey(""), false);
+  assert.equal(isValidIdempotencyKey(5), false);
+  assert.equal(isValidIdempotencyKey("x".repeat(129)), false);
+});
@@ -0,0 +1,88 @@
+// node-server/test/internalEvents.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { setup, teardown, createFakeIo } = require("./helpers");
+const verifyInternalRequest = require("../middleware/verifyInternalRequest");
+const { dispatchDomainEvent } = require("../socket/domainEvents");
+
+before(() => setup());
+after(() => teardown());
+
+const signedRequest = ({
+  body = "{}",
+  requestId = crypto.randomUUID(),
+  timestamp,
+  signature,
+} = {}) => {
+  const ts = String(timestamp ?? Math.floor(Date.now() / 1000));
+  const headers = {
+    "x-api-key": "test-secret",
+    "x-timestamp": ts,
+    "x-request-id": requestId,
+    "x-signature":
+      signature ??
+      crypto
+        .createHmac("sha256", "test-secret")
+        .update(`${ts}.${requestId}.${body}`)
+        .digest("hex"),
+  };
+  return { rawBody: Buffer.from(body), get: (name) => headers[name] };
+};
+
+// Resolves with the status the middleware answered with, or "next"
+const verify = async (req) => {
+  let outcome = null;
+  const res = {
+    status: (code) => {
+      outcome = code;
+      return res;
+    },
+    json: () => res,
+  };
+  await verifyInternalRequest(req, res, () => {
+    outcome = "next";
+  });
+  return outcome;
+};
+
+test("a correctly signed request passes", async () => {
+  assert.equal(await verify(signedRequest()), "next");
+});
+
+test("a replayed request is rejected", async () => {
+  const request = signedRequest({ requestId: "replay-me" });
+  assert.equal(await verify(request), "next");
+  assert.equal(await verify(request), 409);
+});
+
+test("bad signatures, stale timestamps and missing request IDs are rejected", async () => {
+  assert.equal(await verify(signedRequest({ signature: "0".repeat(64) })), 401);
+  assert.equal(await verify(signedRequest({ timestamp: 1000 })), 401);
+  assert.equal(await verify(signedRequest({ requestId: "" })), 401);
+});
+
+test("message.created fans out like a socket send", async () => {
+  const io = createFakeIo();
+  await dispatchDomainEvent(io, {
+    type: "message.created",
+    data: { channelId: 4, message: { id: 9, user_id: 1 } },
+  });
+  const [broadcast] = io.eventsNamed("newMessage");
+  assert.deepEqual(broadcast.rooms, ["channel_4"]);
+  assert.equal(broadcast.data.message.id, 9);
+});
+
+test("user.removed takes the channel away from every device of the user", async () => {
+  const io = createFakeIo();
+  await dispatchDomainEvent(io, {
+    type: "user.removed",
+    data: { channelId: 4, userIds: [2] },
+  });
+  assert.deepEqual(io.eventsNamed("removedFromGroup")[0].rooms, ["user_2"]);
+  assert.ok(
+    io.roomChanges.some(
+      (change) => change.rooms[0] === "user_2" && change.leave === "channel_4"
+    )
+  );
+});
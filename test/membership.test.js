@@ -0,0 +1,79 @@
+// node-server/test/membership.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  teardown,
+  createFakePhp,
+  createFakeIo,
+  createFakeSocket,
+  wait,
+} = require("./helpers");
+const {
+  resolveChannelIds,
+  syncChannelRooms,
+  joinChannelRooms,
+  isInChannelRoom,
+} = require("../socket/membership");
+const {
+  addUserToChannel,
+  removeUserFromChannel,
+} = require("../socket/broadcast");
+
+const php = createFakePhp();
+php.on("get", "/user/channels", async ({ token }) => {
+  // User 6's membership is slow to load
+  if (token === "token-6") await wait(30);
+  return {
+    success: true,
+    data: token === "token-1" ? [{ id: 1 }, { id: 2 }] : [{ id: 3 }],
+  };
+});
+
+before(() => setup(php));
+after(() => teardown(php));
+
+test("a connecting socket joins every channel room, loaded once per user", async () => {
+  const socket = createFakeSocket("m1", 1);
+  assert.deepEqual(await joinChannelRooms(socket, 1), ["1", "2"]);
+  assert.ok(socket.rooms.has("channel_1") && socket.rooms.has("channel_2"));
+
+  await joinChannelRooms(createFakeSocket("m2", 1), 1);
+  assert.equal(php.callsTo("get", "/user/channels").length, 1);
+});
+
+test("membership checks right after connect wait for the rooms to be joined", async () => {
+  const socket = createFakeSocket("m6", 6, "token-6");
+  socket.data.roomsReady = joinChannelRooms(socket, 6);
+  assert.equal(socket.rooms.has("channel_3"), false);
+  assert.equal(await isInChannelRoom(socket, 3), true);
+  assert.equal(await isInChannelRoom(socket, 1), false);
+});
+
+test("rooms of channels the user left are dropped on sync", () => {
+  const socket = createFakeSocket("m3", 1);
+  socket.join(["channel_1", "channel_9", "presence_4"]);
+  syncChannelRooms(socket, ["1", "2"]);
+  assert.deepEqual([...socket.rooms].filter((room) => room !== "m3").sort(), [
+    "channel_1",
+    "channel_2",
+    "presence_4",
+  ]);
+});
+
+test("adding and removing members updates rooms on every node and the cache", async () => {
+  const io = createFakeIo();
+  await resolveChannelIds(5, "token-5");
+
+  await addUserToChannel(io, 5, 8);
+  assert.deepEqual(io.roomChanges[0], { rooms: ["user_5"], join: "channel_8" });
+  assert.ok((await resolveChannelIds(5, "token-5")).includes("8"));
+
+  await removeUserFromChannel(io, 5, 8, "removed");
+  assert.deepEqual(io.roomChanges[1], {
+    rooms: ["user_5"],
+    leave: "channel_8",
+  });
+  assert.ok(!(await resolveChannelIds(5, "token-5")).includes("8"));
+  assert.equal(php.callsTo("get", "/user/channels").length, 3);
+});
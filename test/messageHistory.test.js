@@ -0,0 +1,59 @@
+// node-server/test/messageHistory.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, createFakePhp } = require("./helpers");
+const { fetchMessageWindow } = require("../socket/messageHistory");
+
+// PHP stand-in holding messages 1..50 (message 30 was deleted)
+const php = createFakePhp();
+php.on("get", "/user/channels/1/messages", ({ query }) => {
+  const limit = Number(query.limit);
+  let ids = Array.from({ length: 50 }, (_, i) => i + 1).filter(
+    (id) => id !== 30
+  );
+  if (query.before)
+    ids = ids
+      .filter((id) => id < Number(query.before))
+      .slice(-limit)
+      .reverse();
+  if (query.after)
+    ids = ids.filter((id) => id > Number(query.after)).slice(0, limit);
+  return { success: true, data: { messages: ids.map((id) => ({ id })) } };
+});
+
+before(() => setup(php));
+after(() => teardown(php));
+
+const window = (options) =>
+  fetchMessageWindow("t", "/user/channels/1/messages", {
+    limit: 5,
+    ...options,
+  });
+const idsOf = (result) => result.messagesData.messages.map((m) => m.id);
+
+test("before pages older messages, oldest first", async () => {
+  const result = await window({ before: 10 });
+  assert.deepEqual(idsOf(result), [5, 6, 7, 8, 9]);
+  assert.deepEqual(result.cursors, { before: 5, after: 9 });
+  assert.equal(result.hasMoreBefore, true);
+
+  const first = await window({ before: 4 });
+  assert.deepEqual(idsOf(first), [1, 2, 3]);
+  assert.equal(first.cursors.before, null);
+});
+
+test("after pages newer messages until caught up", async () => {
+  const result = await window({ after: 47 });
+  assert.deepEqual(idsOf(result), [48, 49, 50]);
+  assert.equal(result.hasMoreAfter, false);
+  assert.equal(result.cursors.after, null);
+});
+
+test("around centres on the anchor and reports when it is gone", async () => {
+  const result = await window({ around: 20 });
+  assert.deepEqual(idsOf(result), [18, 19, 20, 21, 22]);
+  assert.deepEqual(result.anchor, { messageId: 20, found: true });
+
+  const deleted = await window({ around: 30 });
+  assert.equal(deleted.anchor.found, false);
+});
@@ -0,0 +1,119 @@
+// node-server/test/phpApiService.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, createFakePhp, wait } = require("./helpers");
+const config = require("../config");
+const {
+  validateToken,
+  makePhpRequest,
+  getBackendStatus,
+  onBackendStatusChange,
+} = require("../services/phpApiService");
+
+config.phpClient.retryBaseDelayMs = 1;
+config.phpClient.retryMaxDelayMs = 5;
+config.phpClient.breaker.openDurationMs = 100;
+
+const php = createFakePhp();
+let flakyFailures = 0;
+let backendDown = false;
+
+php.on("get", "/slow", async () => {
+  await wait(50);
+  return { success: true, data: { items: [1, 2] } };
+});
+php.on("get", "/flaky", () =>
+  flakyFailures-- > 0 ? { status: 502, body: {} } : { success: true }
+);
+php.on("post", "/flaky-post", () => ({ status: 502, body: {} }));
+php.on("get", "/missing", () => ({ status: 404, body: { message: "Gone" } }));
+php.on("get", "/down", () =>
+  backendDown ? { status: 503, body: {} } : { success: true }
+);
+
+php.on("get", "/user", ({ token }) =>
+  token === "php-down"
+    ? { status: 503, body: {} }
+    : { success: false, message: "Token revoked" }
+);
+
+before(() => setup(php));
+after(() => teardown(php));
+
+test("identical concurrent GETs share one request, with separate copies", async () => {
+  const [first, second] = await Promise.all([
+    makePhpRequest("get", "/slow", "t"),
+    makePhpRequest("get", "/slow", "t"),
+  ]);
+  assert.equal(php.callsTo("get", "/slow").length, 1);
+  first.data.items.push(3);
+  assert.deepEqual(second.data.items, [1, 2]);
+
+  await Promise.all([
+    makePhpRequest("get", "/slow", "t"),
+    makePhpRequest("get", "/slow", "other-token"),
+  ]);
+  assert.equal(php.callsTo("get", "/slow").length, 3);
+});
+
+test("idempotent requests are retried on 5xx, POSTs are not", async () => {
+  flakyFailures = 2;
+  assert.deepEqual(await makePhpRequest("get", "/flaky", "t"), {
+    success: true,
+  });
+  assert.equal(php.callsTo("get", "/flaky").length, 3);
+
+  await assert.rejects(makePhpRequest("post", "/flaky-post", "t", {}), {
+    code: "BACKEND_UNAVAILABLE",
+  });
+  assert.equal(php.callsTo("post", "/flaky-post").length, 1);
+});
+
+test("4xx answers are not retried and keep their message", async () => {
+  await assert.rejects(makePhpRequest("get", "/missing", "t"), {
+    message: "Gone",
+    status: 404,
+  });
+  assert.equal(php.callsTo("get", "/missing").length, 1);
+});
+
+test("the breaker opens after repeated failures and closes after a good trial", async () => {
+  const statuses = [];
+  const unsubscribe = onBackendStatusChange((status) => statuses.push(status));
+  backendDown = true;
+  const { failureThreshold } = config.phpClient.breaker;
+  for (
+    let i = 0;
+    getBackendStatus() === "available" && i < failureThreshold;
+    i++
+  ) {
+    await makePhpRequest("get", "/down", "t").catch(() => {});
+  }
+  assert.equal(getBackendStatus(), "backendUnavailable");
+
+  const callsWhileOpen = php.callsTo("get", "/down").length;
+  await assert.rejects(makePhpRequest("get", "/down", "t"), {
+    code: "BACKEND_UNAVAILABLE",
+  });
+  assert.equal(php.callsTo("get", "/down").length, callsWhileOpen);
+
+  backendDown = false;
+  await wait(config.phpClient.breaker.openDurationMs + 20);
+  await makePhpRequest("get", "/down", "t");
+  assert.equal(getBackendStatus(), "available");
+  assert.deepEqual(statuses, ["backendUnavailable", "available"]);
+  unsubscribe();
+});
+
+test("a token PHP answers with success: false is rejected, not an outage", async () => {
+  await assert.rejects(validateToken("revoked"), (error) => {
+    assert.equal(error.isAuthFailure, true);
+    assert.equal(error.code, undefined);
+    assert.equal(error.message, "Token revoked");
+    return true;
+  });
+  await assert.rejects(validateToken("php-down"), {
+    isAuthFailure: false,
+    code: "BACKEND_UNAVAILABLE",
+  });
+});
@@ -0,0 +1,116 @@
+// node-server/test/pins.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, createFakePhp, createFakeIo } = require("./helpers");
+const { canManagePins } = require("../socket/pins");
+const { pinMessage, unpinDeletedMessage } = require("../socket/chatActions");
+
+let pins = [];
+let unpinFails = false;
+const php = createFakePhp();
+php.on("get", "/user/channels/1", () => ({
+  success: true,
+  data: { id: 1, is_group: 0, users: [{ id: 1 }, { id: 2 }] },
+}));
+php.on("get", "/user/channels/1/pins", () => ({ success: true, data: pins }));
+php.on("post", "/user/channels/1/pins", ({ body }) => {
+  pins.push({
+    message_id: body.message_id,
+    pinned_at: new Date().toISOString(),
+  });
+  return { success: true };
+});
+php.on("delete", "/user/channels/1/pins/5", () => {
+  if (unpinFails) return { status: 500, body: { message: "boom" } };
+  pins = pins.filter((pin) => pin.message_id !== 5);
+  return { success: true };
+});
+
+// Channel 2: the pin list can be read once, then PHP stops answering
+let channel2PinReads = 0;
+php.on("get", "/user/channels/2", () => ({
+  success: true,
+  data: { id: 2, is_group: 0, users: [{ id: 1 }, { id: 2 }] },
+}));
+php.on("get", "/user/channels/2/pins", () =>
+  channel2PinReads++ === 0
+    ? { success: true, data: [{ message_id: 3, pinned_at: "2026-01-01" }] }
+    : { status: 500, body: { message: "boom" } }
+);
+php.on("post", "/user/channels/2/pins", () => ({ success: true }));
+
+before(() => setup(php));
+after(() => teardown(php));
+
+test("only admins manage pins in large groups", () => {
+  const users = Array.from({ length: 50 }, (_, i) => ({ id: i + 1 }));
+  users[1].is_admin = true;
+  const group = { is_group: 1, users };
+  assert.equal(canManagePins(group, 2), true);
+  assert.equal(canManagePins(group, 3), false);
+  assert.equal(canManagePins({ is_group: 0, users }, 3), true);
+});
+
+test("pinning broadcasts pinsUpdated and is idempotent", async () => {
+  const io = createFakeIo();
+  const context = { io, userId: 1, userToken: "t" };
+  const result = await pinMessage(context, { channelId: 1, messageId: 5 });
+  assert.deepEqual(
+    result.pins.map((pin) => pin.messageId),
+    [5]
+  );
+  await pinMessage(context, { channelId: 1, messageId: 5 });
+  assert.equal(io.eventsNamed("pinsUpdated").length, 1);
+});
+
+test("a pin still shows when the pins cannot be re-read afterwards", async () => {
+  const io = createFakeIo();
+  const context = { io, userId: 1, userToken: "t" };
+  const result = await pinMessage(context, { channelId: 2, messageId: 4 });
+  assert.deepEqual(
+    result.pins.map((pin) => [pin.messageId, pin.pinnedBy]),
+    [
+      [4, 1],
+      [3, null],
+    ]
+  );
+  const [update] = io.eventsNamed("pinsUpdated");
+  assert.deepEqual(update.data.pins, result.pins);
+});
+
+test("a deleted message is unpinned only once PHP confirms", async () => {
+  const io = createFakeIo();
+  unpinFails = true;
+  await unpinDeletedMessage(io, {
+    channelId: 1,
+    messageId: 5,
+    userId: 1,
+    userToken: "t",
+  });
+  assert.equal(io.eventsNamed("pinsUpdated").length, 0);
+
+  unpinFails = false;
+  await unpinDeletedMessage(io, {
+    channelId: 1,
+    messageId: 5,
+    userId: 1,
+    userToken: "t",
+  });
+  const [update] = io.eventsNamed("pinsUpdated");
+  assert.deepEqual([update.data.action, update.data.pins], ["unpinned", []]);
+});
+
+test("PHP-side deletes announce the pins PHP sends", async () => {
+  const io = createFakeIo();
+  await unpinDeletedMessage(io, { channelId: 1, messageId: 6 });
+  assert.equal(io.eventsNamed("pinsUpdated").length, 0);
+  await unpinDeletedMessage(io, {
+    channelId: 1,
+    messageId: 6,
+    pins: [{ message_id: 7 }],
+  });
+  assert.deepEqual(
+    io.eventsNamed("pinsUpdated")[0].data.pins.map((p) => p.messageId),
+    [7]
+  );
+});
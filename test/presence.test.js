@@ -0,0 +1,55 @@
+// node-server/test/presence.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  teardown,
+  createFakePhp,
+  createFakeIo,
+  createFakeSocket,
+} = require("./helpers");
+const {
+  registerPresenceSocket,
+  releasePresenceSocket,
+  markSocketActivity,
+  joinContactPresenceRooms,
+  subscribePresence,
+  unsubscribePresence,
+} = require("../socket/presence");
+
+const php = createFakePhp();
+php.on("get", "/user/channels", () => ({ success: true, data: [{ id: 3 }] }));
+php.on("get", "/user/contacts", () => ({ success: true, data: [{ id: 9 }] }));
+php.on("put", "/user/presence", () => ({ success: true }));
+
+before(() => setup(php));
+after(() => teardown(php));
+
+const connect = async (io, id, userId, deviceType) => {
+  const socket = createFakeSocket(id, userId);
+  socket.handshake.auth.deviceType = deviceType;
+  await registerPresenceSocket(io, socket, userId);
+  return socket;
+};
+
+test("presence goes to the user's channels and subscribers, not everyone", async () => {
+  const io = createFakeIo();
+  const socket = await connect(io, "p1", 1, "web");
+  await markSocketActivity(io, socket, 1, true);
+
+  const [change] = io.eventsNamed("presenceChanged");
+  assert.deepEqual(change.rooms, ["channel_3", "presence_1"]);
+  assert.equal(change.data.status, "away");
+  await releasePresenceSocket(socket, 1);
+});
+
+test("contacts are subscribed on connect and survive unsubscribe", async () => {
+  const socket = createFakeSocket("p2", 2);
+  await joinContactPresenceRooms(socket);
+  assert.ok(socket.rooms.has("presence_9"));
+
+  assert.equal(subscribePresence(socket, [9, 10]), true);
+  unsubscribePresence(socket, [9, 10]);
+  assert.ok(socket.rooms.has("presence_9"));
+  assert.ok(!socket.rooms.has("presence_10"));
+});
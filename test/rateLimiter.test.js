@@ -0,0 +1,93 @@
+// node-server/test/rateLimiter.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  teardown,
+  createFakePhp,
+  createFakeSocket,
+} = require("./helpers");
+const config = require("../config");
+const { createRateLimitMiddleware } = require("../socket/rateLimiter");
+
+const php = createFakePhp();
+before(() => setup(php));
+after(() => teardown(php));
+
+// Runs one packet through the middleware. Resolves with "next" or the ack response.
+const send = (middleware, event, payload) =>
+  new Promise((resolve) => {
+    middleware([event, payload, resolve], () => resolve("next"));
+  });
+
+test("events pass until the bucket is empty, then get RATE_LIMITED", async () => {
+  const middleware = createRateLimitMiddleware(createFakeSocket("s1", 1));
+  const { capacity } = config.rateLimits.events.editMessage;
+  for (let i = 0; i < capacity; i++) {
+    assert.equal(await send(middleware, "editMessage", {}), "next");
+  }
+  const rejection = await send(middleware, "editMessage", {});
+  assert.equal(rejection.code, "RATE_LIMITED");
+  assert.ok(rejection.retryAfterMs > 0);
+});
+
+test("sendMessage also has a per-channel bucket", async () => {
+  const middleware = createRateLimitMiddleware(createFakeSocket("s2", 2));
+  const { capacity } = config.rateLimits.perChannel.sendMessage;
+  for (let i = 0; i < capacity; i++) {
+    await send(middleware, "sendMessage", { channelId: 1 });
+  }
+  const rejection = await send(middleware, "sendMessage", { channelId: 1 });
+  assert.equal(rejection.code, "RATE_LIMITED");
+  assert.equal(await send(middleware, "sendMessage", { channelId: 2 }), "next");
+});
+
+test("repeat offenders are muted, then disconnected", async () => {
+  const socket = createFakeSocket("s3", 3);
+  const middleware = createRateLimitMiddleware(socket);
+  const { capacity } = config.rateLimits.events.createChannel;
+  const { muteAfter, disconnectAfter } = config.rateLimits.violations;
+  for (let i = 0; i < capacity + muteAfter; i++) {
+    await send(middleware, "createChannel", {});
+  }
+  assert.ok(socket.sent.some(({ event }) => event === "muted"));
+  assert.equal((await send(middleware, "getChannels", {})).code, "MUTED");
+
+  for (let i = muteAfter; i < disconnectAfter; i++) {
+    await send(middleware, "createChannel", {});
+  }
+  assert.equal(socket.connected, false);
+});
+
+// Resolves "next", "dropped" (no ack within the tick) or the ack response
+const sendSignal = (middleware, event, payload) =>
+  new Promise((resolve) => {
+    middleware([event, payload, resolve], () => resolve("next"));
+    setImmediate(() => resolve("dropped"));
+  });
+
+test("typing on every keystroke is dropped silently, never muted", async () => {
+  const socket = createFakeSocket("s4", 4);
+  const middleware = createRateLimitMiddleware(socket);
+  const outcomes = [];
+  for (let i = 0; i < 200; i++) {
+    outcomes.push(
+      await sendSignal(middleware, "startTyping", { channelId: 1 })
+    );
+  }
+  assert.ok(outcomes.includes("dropped"));
+  assert.ok(outcomes.every((outcome) => ["next", "dropped"].includes(outcome)));
+  assert.ok(!socket.sent.some(({ event }) => event === "muted"));
+  assert.equal(await send(middleware, "sendMessage", { channelId: 1 }), "next");
+});
+
+test("rejected reads are answered but do not count towards a mute", async () => {
+  const socket = createFakeSocket("s5", 5);
+  const middleware = createRateLimitMiddleware(socket);
+  for (let i = 0; i < 100; i++) await send(middleware, "getChannels", {});
+  assert.equal(
+    (await send(middleware, "getChannels", {})).code,
+    "RATE_LIMITED"
+  );
+  assert.ok(!socket.sent.some(({ event }) => event === "muted"));
+});
@@ -0,0 +1,62 @@
+// node-server/test/reactions.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, createFakePhp, createFakeIo } = require("./helpers");
+const { aggregateReactions, isEmoji } = require("../socket/reactions");
+const { addReaction, removeReaction } = require("../socket/chatActions");
+
+const path = "/user/channels/1/messages/5/reactions";
+let rows = [{ emoji: "👍", user_id: 2 }];
+const php = createFakePhp();
+php.on("get", path, () => ({ success: true, data: rows }));
+php.on("post", path, ({ body }) => {
+  rows.push({ emoji: body.emoji, user_id: 1 });
+  return { success: true };
+});
+php.on("delete", `${path}/${encodeURIComponent("👍")}`, () => {
+  rows = rows.filter((row) => !(row.emoji === "👍" && row.user_id === 1));
+  return { success: true };
+});
+
+before(() => setup(php));
+after(() => teardown(php));
+
+test("rows are grouped per emoji with counts and unique reactors", () => {
+  assert.deepEqual(
+    aggregateReactions([
+      { emoji: "👍", user_id: 1 },
+      { emoji: "🎉", user_id: 2 },
+      { emoji: "👍", user_id: 2 },
+      { emoji: "👍", user_id: 1 },
+    ]),
+    [
+      { emoji: "👍", userIds: [1, 2], count: 2 },
+      { emoji: "🎉", userIds: [2], count: 1 },
+    ]
+  );
+  assert.equal(isEmoji("👍🏽"), true);
+  assert.equal(isEmoji("ok"), false);
+});
+
+test("adding is idempotent and broadcasts the aggregate", async () => {
+  const io = createFakeIo();
+  const context = { io, userId: 1, userToken: "t" };
+  const payload = { channelId: 1, messageId: 5, emoji: "👍" };
+
+  const added = await addReaction(context, payload);
+  assert.deepEqual(added.reactions, [
+    { emoji: "👍", userIds: [2, 1], count: 2 },
+  ]);
+  await addReaction(context, payload);
+  assert.equal(php.callsTo("post", path).length, 1);
+  assert.equal(io.eventsNamed("reactionsUpdated").length, 1);
+
+  const removed = await removeReaction(context, payload);
+  assert.deepEqual(removed.reactions, [
+    { emoji: "👍", userIds: [2], count: 1 },
+  ]);
+  assert.equal(
+    (await addReaction(context, { ...payload, emoji: "x" })).code,
+    "INVALID_INPUT"
+  );
+});
@@ -0,0 +1,71 @@
+// node-server/test/receiptBatcher.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  teardown,
+  createFakePhp,
+  createFakeIo,
+  wait,
+} = require("./helpers");
+const config = require("../config");
+const { queueReceipt, flushUserReceipts } = require("../socket/receiptBatcher");
+const { getWatermark } = require("../cluster/receiptStore");
+
+config.receiptBatchWindowMs = 20;
+
+const php = createFakePhp();
+const markCalls = () =>
+  php.calls.filter((call) => /\/mark-(as-read|delivered-at)$/.test(call.path));
+for (const id of [10, 11, 12, 20]) {
+  php.on("put", `/user/channels/5/messages/${id}/mark-as-read`, () => ({
+    success: true,
+  }));
+  php.on("put", `/user/channels/5/messages/${id}/mark-delivered-at`, () => ({
+    success: true,
+  }));
+}
+
+before(() => setup(php));
+after(() => teardown(php));
+
+test("receipts within a window become one PHP call and one broadcast", async () => {
+  const io = createFakeIo();
+  for (const messageId of [11, 10, 12]) {
+    queueReceipt(io, {
+      userId: 1,
+      token: "t",
+      channelId: 5,
+      messageId,
+      type: "read",
+    });
+  }
+  await wait(60);
+
+  assert.deepEqual(
+    markCalls().map((call) => call.path),
+    ["/user/channels/5/messages/12/mark-as-read"]
+  );
+  const updates = io.eventsNamed("messageStatusUpdate");
+  assert.equal(updates.length, 1);
+  assert.deepEqual(
+    updates[0].data.updates.map((update) => update.messageId),
+    [10, 11, 12]
+  );
+  assert.equal(updates[0].data.receipts[0].read.messageId, 12);
+});
+
+test("flushUserReceipts sends pending receipts right away", async () => {
+  const io = createFakeIo();
+  const before = markCalls().length;
+  queueReceipt(io, {
+    userId: 2,
+    token: "t",
+    channelId: 5,
+    messageId: 20,
+    type: "delivered",
+  });
+  await flushUserReceipts(2);
+  assert.equal(markCalls().length - before, 1);
+  assert.equal(await getWatermark(5, 2, "delivered"), 20);
+});
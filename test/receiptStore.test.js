@@ -0,0 +1,46 @@
+// node-server/test/receiptStore.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, createFakePhp } = require("./helpers");
+const {
+  recordReceipt,
+  getMessageReceipts,
+  getWatermark,
+} = require("../cluster/receiptStore");
+
+const php = createFakePhp();
+before(() => setup(php));
+after(() => teardown(php));
+
+test("read watermarks imply delivery and only move forward", async () => {
+  const first = await recordReceipt(
+    9,
+    3,
+    "read",
+    40,
+    "2026-01-01T00:00:00.000Z"
+  );
+  assert.equal(first.delivered.messageId, 40);
+  assert.equal(first.read.messageId, 40);
+  assert.equal(
+    await recordReceipt(9, 3, "read", 30, "2026-01-01T00:01:00.000Z"),
+    null
+  );
+  assert.equal(await getWatermark(9, 3, "read"), 40);
+});
+
+test("getMessageReceipts lists who covered the message and when", async () => {
+  await recordReceipt(9, 4, "delivered", 35, "2026-01-01T00:00:05.000Z");
+  await recordReceipt(9, 4, "delivered", 50, "2026-01-01T00:00:09.000Z");
+  const receipts = await getMessageReceipts(9, 35);
+  assert.deepEqual(receipts.read, [
+    { userId: 3, at: "2026-01-01T00:00:00.000Z" },
+  ]);
+  assert.deepEqual(receipts.delivered, [
+    { userId: 3, at: "2026-01-01T00:00:00.000Z" },
+    { userId: 4, at: "2026-01-01T00:00:05.000Z" },
+  ]);
+  assert.deepEqual((await getMessageReceipts(9, 45)).delivered, [
+    { userId: 4, at: "2026-01-01T00:00:09.000Z" },
+  ]);
+});
@@ -0,0 +1,47 @@
+// node-server/test/replay.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, createFakeIo } = require("./helpers");
+const config = require("../config");
+const { emitToChannel } = require("../socket/broadcast");
+const { getEventsSince, getCurrentSeq } = require("../cluster/replayBuffer");
+
+before(() => setup());
+after(() => teardown());
+
+test("channel broadcasts carry consecutive sequence numbers", async () => {
+  const io = createFakeIo();
+  await emitToChannel(io, 1, "newMessage", {
+    channelId: 1,
+    message: { id: 1 },
+  });
+  await emitToChannel(io, 1, "messageDeleted", { channelId: 1, messageId: 1 });
+
+  assert.deepEqual(
+    io.emitted.map((entry) => [entry.rooms[0], entry.event, entry.data.seq]),
+    [
+      ["channel_1", "newMessage", 1],
+      ["channel_1", "messageDeleted", 2],
+    ]
+  );
+  assert.equal(await getCurrentSeq(1), 2);
+});
+
+test("a reconnecting client gets exactly the events it missed", async () => {
+  const result = await getEventsSince(1, 1);
+  assert.equal(result.resync, false);
+  assert.deepEqual(
+    result.events.map((entry) => [entry.event, entry.data.seq]),
+    [["messageDeleted", 2]]
+  );
+  assert.deepEqual((await getEventsSince(1, 2)).events, []);
+});
+
+test("a gap older than the buffer asks for a resync", async () => {
+  const io = createFakeIo();
+  for (let i = 0; i < config.replayBufferSize + 5; i++) {
+    await emitToChannel(io, 2, "newMessage", { channelId: 2 });
+  }
+  assert.equal((await getEventsSince(2, 0)).resync, true);
+  assert.equal((await getEventsSince(2, 999999)).resync, true);
+});
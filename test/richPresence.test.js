@@ -0,0 +1,91 @@
+// node-server/test/richPresence.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  teardown,
+  createFakePhp,
+  createFakeIo,
+  createFakeSocket,
+  wait,
+} = require("./helpers");
+const {
+  registerPresenceSocket,
+  releasePresenceSocket,
+  setPresence,
+  getPresenceSnapshot,
+} = require("../socket/presence");
+
+const php = createFakePhp();
+php.on("get", "/user/channels", () => ({ success: true, data: [{ id: 3 }] }));
+php.on("put", "/user/presence", () => ({ success: true }));
+
+before(() => setup(php));
+after(() => teardown(php));
+
+const connect = async (io, id, userId, deviceType) => {
+  const socket = createFakeSocket(id, userId);
+  socket.handshake.auth.deviceType = deviceType;
+  await registerPresenceSocket(io, socket, userId);
+  return socket;
+};
+
+test("devices, dnd, custom status and invisible", async () => {
+  const io = createFakeIo();
+  const phone = await connect(io, "p3", 4, "ios");
+  const laptop = await connect(io, "p4", 4, "web");
+
+  let [presence] = await getPresenceSnapshot([4]);
+  assert.equal(presence.status, "online");
+  assert.deepEqual(presence.devices.sort(), ["ios", "web"]);
+
+  const own = await setPresence(io, phone, 4, {
+    mode: "dnd",
+    statusText: "Focus",
+  });
+  assert.equal(own.status, "dnd");
+  assert.equal(own.customStatus.text, "Focus");
+
+  await setPresence(io, phone, 4, { mode: "invisible" });
+  [presence] = await getPresenceSnapshot([4]);
+  assert.equal(presence.online, false);
+  assert.equal(presence.customStatus, null);
+  assert.equal(io.eventsNamed("userOffline").length, 1);
+
+  await releasePresenceSocket(phone, 4);
+  await releasePresenceSocket(laptop, 4);
+});
+
+test("the device type is guessed from the user agent when not declared", async () => {
+  const io = createFakeIo();
+  const mac = createFakeSocket("p5", 5);
+  mac.handshake.headers["user-agent"] =
+    "ChatApp/2.1 CFNetwork/1490 Darwin/23.4.0";
+  await registerPresenceSocket(io, mac, 5);
+  const iphone = createFakeSocket("p6", 5);
+  iphone.handshake.headers["user-agent"] =
+    "Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X)";
+  await registerPresenceSocket(io, iphone, 5);
+
+  const [presence] = await getPresenceSnapshot([5]);
+  assert.deepEqual(presence.devices.sort(), ["desktop", "ios"]);
+  await releasePresenceSocket(mac, 5);
+  await releasePresenceSocket(iphone, 5);
+});
+
+test("a custom status expiry is broadcast after the setting device left", async () => {
+  const io = createFakeIo();
+  const phone = await connect(io, "p7", 6, "ios");
+  const laptop = await connect(io, "p8", 6, "web");
+  await setPresence(io, phone, 6, {
+    statusText: "In a meeting",
+    statusExpiresAt: Date.now() + 50,
+  });
+  phone.connected = false;
+  await releasePresenceSocket(phone, 6);
+  await wait(100);
+
+  const changes = io.eventsNamed("presenceChanged");
+  assert.equal(changes[changes.length - 1].data.customStatus, null);
+  await releasePresenceSocket(laptop, 6);
+});
@@ -0,0 +1,136 @@
+// node-server/test/scheduledMessages.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  teardown,
+  createFakePhp,
+  createFakeIo,
+  wait,
+} = require("./helpers");
+const config = require("../config");
+const { getDriver } = require("../cluster");
+const {
+  resolveSendAt,
+  scheduleMessage,
+  startScheduler,
+  stopScheduler,
+} = require("../socket/scheduledMessages");
+const {
+  acquireScheduledLock,
+  releaseScheduledLock,
+} = require("../cluster/scheduledStore");
+
+config.scheduledMessages.pollIntervalMs = 20;
+
+const php = createFakePhp();
+php.on("get", "/user/channels", () => ({ success: true, data: [{ id: 1 }] }));
+php.on("get", "/user/channels/1", () => ({
+  success: true,
+  data: { id: 1, users: [{ id: 1 }] },
+}));
+php.on("post", "/user/channels/1/messages", () => ({
+  success: true,
+  data: { id: 50, channel_id: 1, user_id: 1, message: "later" },
+}));
+
+before(() => setup(php));
+after(async () => {
+  stopScheduler();
+  await teardown(php);
+});
+
+const soon = (ms) => new Date(Date.now() + ms).toISOString();
+
+test("scheduling is refused without a persistent cluster store", async () => {
+  const result = await scheduleMessage(
+    { io: createFakeIo(), userId: 1, userToken: "t" },
+    { channelId: 1, message: "later", sendAt: soon(60 * 1000) }
+  );
+  assert.equal(result.code, "BACKEND_UNAVAILABLE");
+});
+
+test("the scheduler only runs on a persistent store and delivers due jobs once", async () => {
+  const io = createFakeIo();
+  startScheduler(io); // Skipped: still the memory driver
+  getDriver().persistent = true; // Stand-in for redis from here on
+  const scheduled = await scheduleMessage(
+    { io, userId: 1, userToken: "t" },
+    { channelId: 1, message: "later", sendAt: soon(30) }
+  );
+  assert.equal(scheduled.success, true);
+  await wait(120);
+  assert.equal(php.callsTo("post", "/user/channels/1/messages").length, 0);
+
+  startScheduler(io);
+  await wait(150);
+  assert.equal(php.callsTo("post", "/user/channels/1/messages").length, 1);
+  const [sent] = io.eventsNamed("scheduledMessageSent");
+  assert.equal(sent.data.scheduledMessageId, scheduled.scheduledMessage.id);
+  stopScheduler();
+});
+
+test("a lock that expired under its holder is not released by it", async () => {
+  const stale = await acquireScheduledLock("job-1", "node-a", 20);
+  assert.ok(stale);
+  assert.equal(await acquireScheduledLock("job-1", "node-b", 1000), null);
+  await wait(40);
+
+  const current = await acquireScheduledLock("job-1", "node-b", 1000);
+  assert.ok(current);
+  assert.equal(await releaseScheduledLock("job-1", stale), false);
+  assert.equal(await acquireScheduledLock("job-1", "node-c", 1000), null);
+
+  assert.equal(await releaseScheduledLock("job-1", current), true);
+  assert.ok(await acquireScheduledLock("job-1", "node-c", 1000));
+});
+
+// Local wall times around DST changes, resolved without the scheduling window
+// so the fixed dates never fall outside it
+const resolveAt = (sendAt, timeZone) => {
+  const resolved = resolveSendAt(sendAt, timeZone);
+  assert.equal(resolved.error, undefined);
+  return new Date(resolved.sendAt).toISOString();
+};
+
+test("wall times skipped by DST land after the change, west and east of UTC", () => {
+  // New York 2027-03-14 02:00 EST -> 03:00 EDT: 02:30 becomes 03:30 EDT
+  assert.equal(
+    resolveAt("2027-03-14T02:30", "America/New_York"),
+    "2027-03-14T07:30:00.000Z"
+  );
+  // Berlin 2027-03-28 02:00 CET -> 03:00 CEST: 02:30 becomes 03:30 CEST
+  assert.equal(
+    resolveAt("2027-03-28T02:30", "Europe/Berlin"),
+    "2027-03-28T01:30:00.000Z"
+  );
+  // Sydney 2027-10-03 02:00 AEST -> 03:00 AEDT: 02:30 becomes 03:30 AEDT
+  assert.equal(
+    resolveAt("2027-10-03T02:30", "Australia/Sydney"),
+    "2027-10-02T16:30:00.000Z"
+  );
+});
+
+test("repeated wall times resolve to their first occurrence", () => {
+  // New York 2026-11-01 02:00 EDT -> 01:00 EST: 01:30 EDT comes first
+  assert.equal(
+    resolveAt("2026-11-01T01:30", "America/New_York"),
+    "2026-11-01T05:30:00.000Z"
+  );
+  // Berlin 2026-10-25 03:00 CEST -> 02:00 CET: 02:30 CEST comes first
+  assert.equal(
+    resolveAt("2026-10-25T02:30", "Europe/Berlin"),
+    "2026-10-25T00:30:00.000Z"
+  );
+});
+
+test("ordinary wall times use the zone's offset on that day", () => {
+  assert.equal(
+    resolveAt("2027-01-15T09:00", "America/New_York"),
+    "2027-01-15T14:00:00.000Z"
+  );
+  assert.equal(
+    resolveAt("2027-07-15T09:00", "Asia/Kolkata"),
+    "2027-07-15T03:30:00.000Z"
+  );
+});
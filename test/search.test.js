@@ -0,0 +1,58 @@
+// node-server/test/search.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, createFakePhp } = require("./helpers");
+const { buildSnippet, searchTerms } = require("../socket/search");
+const { searchMessages } = require("../socket/chatActions");
+
+const php = createFakePhp();
+php.on("get", "/user/channels", () => ({ success: true, data: [{ id: 1 }] }));
+php.on("get", "/user/messages/search", () => ({
+  success: true,
+  data: [
+    { id: 3, channel_id: 1, message: "lunch at noon" },
+    { id: 2, channel_id: 9, message: "lunch elsewhere" },
+    { id: 1, channel_id: 1, message: "more lunch talk" },
+  ],
+}));
+
+before(() => setup(php));
+after(() => teardown(php));
+
+const context = { userId: 1, userToken: "t" };
+
+test("snippets carry highlight ranges for every term", () => {
+  const snippet = buildSnippet("Lunch at noon?", searchTerms("noon lunch"));
+  const highlighted = snippet.highlights.map(({ start, end }) =>
+    snippet.snippet.slice(start, end)
+  );
+  assert.deepEqual(highlighted, ["Lunch", "noon"]);
+});
+
+test("hits outside the user's channels are dropped, cleared chats are PHP's job", async () => {
+  const result = await searchMessages(context, { query: "lunch", limit: 2 });
+  assert.deepEqual(
+    result.hits.map((hit) => hit.message.id),
+    [3]
+  );
+  assert.deepEqual(result.hits[0].jump, { channelId: 1, around: 3 });
+  assert.ok(result.nextCursor);
+
+  const [call] = php.callsTo("get", "/user/messages/search");
+  assert.equal(call.query.exclude_cleared, "1");
+});
+
+test("bad input and foreign channels are rejected", async () => {
+  assert.equal(
+    (await searchMessages(context, { query: " " })).code,
+    "INVALID_INPUT"
+  );
+  assert.equal(
+    (await searchMessages(context, { query: "x", cursor: "bad" })).code,
+    "INVALID_INPUT"
+  );
+  assert.equal(
+    (await searchMessages(context, { query: "x", channelId: 9 })).code,
+    "FORBIDDEN"
+  );
+});
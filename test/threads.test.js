@@ -0,0 +1,66 @@
+// node-server/test/threads.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, createFakePhp, createFakeIo } = require("./helpers");
+const { publishThreadReply, loadThread } = require("../socket/threads");
+const { rememberChannelMembers } = require("../cluster/channelMembers");
+
+const php = createFakePhp();
+php.on("get", "/user/channels/1/messages/10/replies", () => ({
+  success: true,
+  data: {
+    messages: [{ id: 11 }, { id: 12 }],
+    reply_count: 2,
+    parent_message: { id: 10, user_id: 1 },
+  },
+}));
+
+before(() => setup(php));
+after(() => teardown(php));
+
+test("thread replies go to participants who are members, not the timeline", async () => {
+  await rememberChannelMembers({
+    id: 1,
+    users: [{ id: 1 }, { id: 2 }, { id: 3 }],
+  });
+  const io = createFakeIo();
+  const thread = await publishThreadReply(io, {
+    channelId: 1,
+    parentMessageId: 10,
+    reply: { id: 11, message: "first", parent_message: { user_id: 1 } },
+    senderId: 2,
+    token: "t",
+  });
+  assert.equal(thread.replyCount, 1);
+
+  const [threadMessage] = io.eventsNamed("threadMessage");
+  assert.deepEqual(threadMessage.rooms.sort(), ["user_1", "user_2"]);
+  assert.equal(io.eventsNamed("newMessage").length, 0);
+  const [parentUpdate] = io.eventsNamed("messageUpdated");
+  assert.deepEqual(parentUpdate.rooms, ["channel_1"]);
+  assert.equal(parentUpdate.data.message.thread.replyCount, 1);
+});
+
+test("opening a thread makes the reader a participant", async () => {
+  const result = await loadThread("t", 3, {
+    channelId: 1,
+    parentMessageId: 10,
+    limit: 20,
+  });
+  assert.deepEqual(
+    result.messagesData.messages.map((m) => m.id),
+    [11, 12]
+  );
+  assert.equal(result.thread.replyCount, 2);
+  assert.equal(result.cursors.before, null);
+
+  const io = createFakeIo();
+  await publishThreadReply(io, {
+    channelId: 1,
+    parentMessageId: 10,
+    reply: { id: 13 },
+    senderId: 2,
+    token: "t",
+  });
+  assert.ok(io.eventsNamed("threadMessage")[0].rooms.includes("user_3"));
+});
@@ -0,0 +1,62 @@
+// node-server/test/tokenCache.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, createFakePhp } = require("./helpers");
+const {
+  validateTokenCached,
+  revokeToken,
+  revokeUserTokens,
+} = require("../services/tokenCache");
+
+const php = createFakePhp();
+php.on("get", "/user", ({ token }) => {
+  if (token === "expired") {
+    return {
+      success: true,
+      data: { id: 3, token_expires_at: "2000-01-01T00:00:00Z" },
+    };
+  }
+  return token.startsWith("good")
+    ? { success: true, data: { id: 1, username: "alice" } }
+    : { status: 401, body: { success: false, message: "Unauthenticated" } };
+});
+
+before(() => setup(php));
+after(() => teardown(php));
+
+const validations = () => php.callsTo("get", "/user").length;
+
+test("a valid token is validated with PHP once, then served from cache", async () => {
+  const before = validations();
+  assert.equal((await validateTokenCached("good-1")).id, 1);
+  assert.equal((await validateTokenCached("good-1")).id, 1);
+  assert.equal(validations() - before, 1);
+});
+
+test("bypassCache always asks PHP", async () => {
+  const before = validations();
+  await validateTokenCached("good-1", { bypassCache: true });
+  assert.equal(validations() - before, 1);
+});
+
+test("rejected and expired tokens fail as auth failures", async () => {
+  await assert.rejects(validateTokenCached("bad"), { isAuthFailure: true });
+  await assert.rejects(validateTokenCached("expired"), /expired/);
+});
+
+test("a revoked token is refused without asking PHP", async () => {
+  await validateTokenCached("good-2");
+  await revokeToken("good-2");
+  const before = validations();
+  await assert.rejects(validateTokenCached("good-2"), /revoked/);
+  assert.equal(validations(), before);
+});
+
+test("revoking a user's tokens sends cached ones back to PHP", async () => {
+  await validateTokenCached("good-3");
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await revokeUserTokens(1);
+  const before = validations();
+  await validateTokenCached("good-3");
+  assert.equal(validations() - before, 1);
+});
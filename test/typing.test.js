@@ -0,0 +1,64 @@
+// node-server/test/typing.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  teardown,
+  createFakePhp,
+  createFakeIo,
+  createFakeSocket,
+  wait,
+} = require("./helpers");
+const config = require("../config");
+const { startTyping, stopTyping, getTypingUsers } = require("../socket/typing");
+
+config.typingTimeoutMs = 50;
+config.typingThrottleMs = 1000;
+
+const php = createFakePhp();
+before(() => setup(php));
+after(() => teardown(php));
+
+const alice = { userId: "1", userName: "alice" };
+
+test("typing is relayed once per throttle window and shows in snapshots", async () => {
+  const io = createFakeIo();
+  const socket = createFakeSocket("t1", "1");
+  await startTyping(io, socket, alice, 5);
+  await startTyping(io, socket, alice, 5);
+
+  assert.equal(
+    socket.emitted.filter((e) => e.event === "userTyping").length,
+    1
+  );
+  assert.deepEqual(await getTypingUsers(5), [
+    { userId: "1", userName: "alice" },
+  ]);
+
+  await stopTyping(io, socket, "1", 5);
+  assert.deepEqual(await getTypingUsers(5), []);
+  assert.equal(io.eventsNamed("userStoppedTyping").length, 1);
+});
+
+test("typing expires when the client goes quiet", async () => {
+  const io = createFakeIo();
+  await startTyping(io, createFakeSocket("t2", "1"), alice, 6);
+  await wait(80);
+  assert.deepEqual(await getTypingUsers(6), []);
+  assert.equal(io.eventsNamed("userStoppedTyping").length, 1);
+});
+
+test("one device stopping does not clear a refresh from another device", async () => {
+  const io = createFakeIo();
+  const phone = createFakeSocket("t3", "1");
+  const laptop = createFakeSocket("t4", "1");
+  await startTyping(io, phone, alice, 7);
+  await startTyping(io, laptop, alice, 7);
+
+  await stopTyping(io, phone, "1", 7);
+  assert.equal((await getTypingUsers(7)).length, 1);
+  assert.equal(io.eventsNamed("userStoppedTyping").length, 0);
+
+  await stopTyping(io, laptop, "1", 7);
+  assert.deepEqual(await getTypingUsers(7), []);
+});
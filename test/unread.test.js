@@ -0,0 +1,94 @@
+// node-server/test/unread.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, createFakePhp, createFakeIo } = require("./helpers");
+const {
+  countNewMessage,
+  countMessagesRead,
+  countChannelRead,
+  seedFromChannels,
+} = require("../socket/unread");
+const { noteLatestMessage } = require("../cluster/receiptStore");
+const { getCountsForChannels } = require("../cluster/unreadCounters");
+const { rememberChannelMembers } = require("../cluster/channelMembers");
+const { removeUserFromChannel } = require("../socket/broadcast");
+
+const getCounts = async (userId, channelId) =>
+  (await getCountsForChannels(userId, [channelId]))[channelId];
+
+const php = createFakePhp();
+php.on("get", "/user/channels/7", () => ({
+  success: true,
+  data: {
+    id: 7,
+    users: [
+      { id: 1, username: "alice" },
+      { id: 2, username: "bob" },
+    ],
+  },
+}));
+
+php.on("get", "/user/channels/9", () => ({
+  success: true,
+  data: { id: 9, users: [{ id: 1, username: "alice" }] },
+}));
+
+before(() => setup(php));
+after(() => teardown(php));
+
+test("new messages count for everyone but the sender, mentions separately", async () => {
+  const io = createFakeIo();
+  await countNewMessage(io, 7, { id: 1, message: "hi @bob" }, 1, "t");
+  await countNewMessage(io, 7, { id: 2, message: "again" }, 1, "t");
+  assert.deepEqual(await getCounts(2, 7), { unreadCount: 2, mentionCount: 1 });
+  assert.deepEqual(await getCounts(1, 7), { unreadCount: 0, mentionCount: 0 });
+
+  const [update] = io.eventsNamed("unreadCountUpdated");
+  assert.deepEqual(update.rooms, ["user_2"]);
+  assert.deepEqual(update.data, {
+    channelId: 7,
+    unreadCount: 1,
+    mentionCount: 1,
+  });
+});
+
+test("only messages above the read watermark are subtracted", async () => {
+  const io = createFakeIo();
+  await seedFromChannels(3, [
+    { id: 8, unread_count: 5, unread_mentions_count: 0 },
+  ]);
+  await noteLatestMessage(8, 100);
+
+  await countMessagesRead(io, 3, 8, [90, 91], 0);
+  assert.equal((await getCounts(3, 8)).unreadCount, 3);
+  // Re-sent receipts (or another device's) below the watermark count nothing
+  await countMessagesRead(io, 3, 8, [90, 91], 91);
+  assert.equal((await getCounts(3, 8)).unreadCount, 3);
+
+  await countMessagesRead(io, 3, 8, [100], 91);
+  assert.equal((await getCounts(3, 8)).unreadCount, 0);
+});
+
+test("marking the channel read resets both counters", async () => {
+  const io = createFakeIo();
+  await seedFromChannels(4, [
+    { id: 8, unread_count: 4, unread_mentions_count: 2 },
+  ]);
+  await countChannelRead(io, 4, 8);
+  assert.deepEqual(await getCounts(4, 8), { unreadCount: 0, mentionCount: 0 });
+});
+
+test("a member who left stops getting unread counts", async () => {
+  const io = createFakeIo();
+  await rememberChannelMembers({
+    id: 9,
+    users: [
+      { id: 1, username: "alice" },
+      { id: 2, username: "bob" },
+    ],
+  });
+  await removeUserFromChannel(io, 2, 9);
+
+  await countNewMessage(io, 9, { id: 30, message: "bye" }, 1, "t");
+  assert.deepEqual(await getCounts(2, 9), { unreadCount: 0, mentionCount: 0 });
+});
@@ -0,0 +1,50 @@
+// node-server/test/validation.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validatePayload,
+  createValidationMiddleware,
+} = require("../socket/validation");
+
+const socket = { id: "validation-socket" };
+
+test("valid payloads pass", () => {
+  assert.equal(
+    validatePayload("sendMessage", { channelId: 1, message: "hi" }),
+    null
+  );
+  assert.equal(
+    validatePayload("sendMessage", { channelId: "12", message: "hi" }),
+    null
+  );
+});
+
+test("invalid payloads get one error shape with details", () => {
+  const error = validatePayload("sendMessage", { channelId: "abc" });
+  assert.equal(error.code, "INVALID_INPUT");
+  assert.ok(error.details.some(({ field }) => field === "channelId"));
+  assert.equal(validatePayload("sendMessage", []).code, "INVALID_INPUT");
+  assert.equal(validatePayload("noSuchEvent", {}).code, "UNKNOWN_EVENT");
+});
+
+test("the middleware rejects through the ack without calling next", () => {
+  let response;
+  let nextCalled = false;
+  createValidationMiddleware(socket)(
+    ["sendMessage", {}, (r) => (response = r)],
+    () => (nextCalled = true)
+  );
+  assert.equal(nextCalled, false);
+  assert.equal(response.code, "INVALID_INPUT");
+});
+
+test("the middleware normalizes payload-less calls and missing acks", () => {
+  const callback = () => {};
+  const packet = ["getChannels", callback];
+  createValidationMiddleware(socket)(packet, () => {});
+  assert.deepEqual(packet, ["getChannels", {}, callback]);
+
+  const noAck = ["getChannels", {}];
+  createValidationMiddleware(socket)(noAck, () => {});
+  assert.equal(typeof noAck[2], "function");
+});